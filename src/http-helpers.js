@@ -0,0 +1,301 @@
+// @flow
+
+import {
+  type EdgeFetchOptions,
+  type EdgeFetchResponse,
+  type EdgeIo,
+  type EdgeLog
+} from 'edge-core-js/types'
+
+const REQUEST_TIMEOUT_MS = 1000 * 15
+const MAX_RETRIES = 3
+const RETRY_BASE_DELAY_MS = 500
+const MAX_RETRY_DELAY_MS = 1000 * 10
+const MAX_EXCERPT_LENGTH = 200
+
+/**
+ * Describes a failed HTTP request.
+ * Providers often explain rejections in the reply body,
+ * so plugins can inspect `body` to map these onto swap errors.
+ */
+export class HttpError extends Error {
+  +status: number // 0 when no reply arrived
+  +url: string // With any secrets redacted
+  +body: mixed // The parsed JSON, or the raw text if it wasn't JSON, redacted
+
+  constructor(status: number, url: string, body?: mixed, reason?: string) {
+    super(
+      `${url} failed with ${
+        reason != null
+          ? reason
+          : status === 0
+          ? 'a timeout'
+          : `status ${status}`
+      }`
+    )
+    this.name = 'HttpError'
+    this.status = status
+    this.url = url
+    this.body = body
+  }
+}
+
+/**
+ * Returns the JSON body of a request the provider rejected,
+ * for providers that explain bad requests in the reply.
+ * Rate limits and server failures don't count as rejections.
+ */
+export function getRejectionBody(error: mixed): Object | void {
+  if (
+    error instanceof HttpError &&
+    error.status >= 400 &&
+    error.status < 500 &&
+    error.status !== 429 &&
+    error.body != null &&
+    typeof error.body === 'object'
+  ) {
+    return error.body
+  }
+}
+
+export type HttpHeaders = { [name: string]: string }
+
+export type HttpOptions = {
+  headers?: HttpHeaders, // Sent with every request
+  log?: EdgeLog,
+  maxRetries?: number,
+  secrets?: Array<string | void>, // Kept out of logs & errors
+  timeoutMs?: number
+}
+
+export type HttpRequestOptions = {
+  headers?: HttpHeaders,
+  signal?: AbortSignal // Abandons the request, including any retries
+}
+
+export type HttpClient = {
+  get<R>(url: string, opts?: HttpRequestOptions): Promise<R>,
+  post<R>(url: string, body: mixed, opts?: HttpRequestOptions): Promise<R>,
+  redact(text: string): string
+}
+
+/**
+ * Makes JSON requests the same way for every plugin.
+ *
+ * Non-2xx replies, timeouts, and network failures all become `HttpError`.
+ * GET requests are retried on 429 and 5xx replies,
+ * but never POST requests, since those may have created an order.
+ * Aborted requests fail right away with status 0,
+ * even if the platform's fetch can't actually stop them.
+ */
+export function makeHttpClient(io: EdgeIo, opts: HttpOptions = {}): HttpClient {
+  const {
+    headers: defaultHeaders = {},
+    log,
+    maxRetries = MAX_RETRIES,
+    secrets = [],
+    timeoutMs = REQUEST_TIMEOUT_MS
+  } = opts
+  const fetch = io.fetchCors || io.fetch
+
+  function redact(text: string): string {
+    let out = text
+    for (const secret of secrets) {
+      if (secret == null || secret === '') continue
+      out = out.split(secret).join('***')
+      const encoded = encodeURIComponent(secret)
+      if (encoded !== secret) out = out.split(encoded).join('***')
+    }
+    return out
+  }
+
+  /**
+   * Redacts the reply before parsing it, for use in errors.
+   */
+  function redactBody(text: string): mixed {
+    const clean = redact(text)
+    try {
+      return JSON.parse(clean)
+    } catch (e) {
+      return clean
+    }
+  }
+
+  /**
+   * Fetches the reply and reads its body,
+   * with the timeout and abort signal covering both steps.
+   */
+  async function fetchText(
+    url: string,
+    fetchOpts: EdgeFetchOptions,
+    signal?: AbortSignal
+  ): Promise<{ reply: EdgeFetchResponse, text: string }> {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new HttpError(0, redact(url))), timeoutMs)
+    })
+    const abort = onAbort(signal, () => abortError(url))
+    try {
+      // Platforms that support aborting can stop the request for real:
+      const fetchPromise = fetch(url, {
+        ...fetchOpts,
+        signal
+      }).then(async reply => ({ reply, text: await reply.text() }))
+      return await Promise.race([fetchPromise, timeout, abort.promise])
+    } catch (e) {
+      if (e instanceof HttpError) throw e
+      throw new HttpError(0, redact(url), undefined, redact(String(e)))
+    } finally {
+      clearTimeout(timer)
+      abort.cleanup()
+    }
+  }
+
+  function abortError(url: string): HttpError {
+    return new HttpError(0, redact(url), undefined, 'an abort')
+  }
+
+  async function request<R>(
+    method: 'GET' | 'POST',
+    url: string,
+    fetchOpts: EdgeFetchOptions,
+    signal?: AbortSignal,
+    attempt: number = 1
+  ): Promise<R> {
+    if (signal != null && signal.aborted) throw abortError(url)
+    const { reply, text } = await fetchText(
+      url,
+      { ...fetchOpts, method },
+      signal
+    )
+
+    let body: mixed = text
+    let isJson = false
+    try {
+      body = JSON.parse(text)
+      isJson = true
+    } catch (e) {}
+
+    // Quote the reply in the message, since that is what ends up in logs:
+    const excerpt = redact(text.slice(0, MAX_EXCERPT_LENGTH))
+    if (reply.ok) {
+      if (isJson) return (body: any)
+      throw new HttpError(
+        reply.status,
+        redact(url),
+        redactBody(text),
+        `a non-JSON reply: ${excerpt}`
+      )
+    }
+
+    const retryable =
+      method === 'GET' &&
+      attempt <= maxRetries &&
+      (reply.status === 429 || reply.status >= 500)
+    if (!retryable) {
+      throw new HttpError(
+        reply.status,
+        redact(url),
+        redactBody(text),
+        `status ${reply.status}: ${excerpt}`
+      )
+    }
+
+    const delay = getRetryDelay(reply, attempt)
+    if (log != null) {
+      log.warn(
+        `${method} ${redact(url)} failed with status ${
+          reply.status
+        }, retrying in ${delay}ms`
+      )
+    }
+    const abort = onAbort(signal, () => abortError(url))
+    try {
+      await Promise.race([snooze(delay), abort.promise])
+    } finally {
+      abort.cleanup()
+    }
+    return request<R>(method, url, fetchOpts, signal, attempt + 1)
+  }
+
+  return {
+    get<R>(url: string, opts: HttpRequestOptions = {}): Promise<R> {
+      const { headers = {}, signal } = opts
+      return request<R>(
+        'GET',
+        url,
+        { headers: { ...defaultHeaders, ...headers } },
+        signal
+      )
+    },
+
+    post<R>(
+      url: string,
+      body: mixed,
+      opts: HttpRequestOptions = {}
+    ): Promise<R> {
+      const { headers = {}, signal } = opts
+      return request<R>(
+        'POST',
+        url,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...defaultHeaders,
+            ...headers
+          },
+          body: JSON.stringify(body)
+        },
+        signal
+      )
+    },
+
+    redact
+  }
+}
+
+/**
+ * Honors the server's `Retry-After` header if present,
+ * otherwise backs off exponentially.
+ */
+function getRetryDelay(reply: EdgeFetchResponse, attempt: number): number {
+  const retryAfter = reply.headers.get('Retry-After')
+  if (retryAfter != null) {
+    const seconds = Number(retryAfter)
+    const ms = isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000
+    if (!isNaN(ms)) return Math.min(Math.max(ms, 0), MAX_RETRY_DELAY_MS)
+  }
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS)
+}
+
+/**
+ * Makes a promise that rejects once the signal fires,
+ * for racing against work that can't be stopped directly.
+ * The caller must call `cleanup` once the race is over.
+ */
+export function onAbort(
+  maybeSignal: AbortSignal | void,
+  makeError: () => Error
+): { promise: Promise<empty>, cleanup: () => void } {
+  if (maybeSignal == null) {
+    return { promise: new Promise(() => {}), cleanup() {} }
+  }
+  const signal = maybeSignal
+
+  let listener = () => {}
+  const promise = new Promise((resolve, reject) => {
+    listener = () => reject(makeError())
+    if (signal.aborted) listener()
+    else signal.addEventListener('abort', listener)
+  })
+  return {
+    promise,
+    cleanup: () => signal.removeEventListener('abort', listener)
+  }
+}
+
+function snooze(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
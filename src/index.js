@@ -10,7 +10,9 @@ import { makeConstantRatePlugin } from './rate/constantRate.js'
 import { makeCurrencyconverterapiPlugin } from './rate/currencyconverterapi.js'
 import { makeEdgeRatesPlugin } from './rate/edgeRates.js'
 import { makeNomicsPlugin } from './rate/nomics.js'
+import { makeSideshiftRatePlugin } from './rate/sideshift.js'
 import { makeWazirxPlugin } from './rate/wazirx'
+import { makeBestRatePlugin } from './swap/bestRate.js'
 import { makeChangellyPlugin } from './swap/changelly.js'
 import { makeChangeNowPlugin } from './swap/changenow.js'
 import { makeCoinSwitchPlugin } from './swap/coinswitch.js'
@@ -22,6 +24,27 @@ import { makeSideshiftPlugin } from './swap/sideshift.js'
 import { makeSwitchainPlugin } from './swap/switchain.js'
 import { makeTotlePlugin } from './swap/totle.js'
 import { makeTransferPlugin } from './swap/transfer.js'
+import { withRateCheck } from './swap-rate-check.js'
+
+const swapPlugins = {
+  changelly: makeChangellyPlugin,
+  changenow: makeChangeNowPlugin,
+  coinswitch: makeCoinSwitchPlugin,
+  faast: makeFaastPlugin,
+  foxExchange: makeFoxExchangePlugin,
+  godex: makeGodexPlugin,
+  shapeshift: makeShapeshiftPlugin,
+  sideshift: makeSideshiftPlugin,
+  switchain: makeSwitchainPlugin,
+  totle: makeTotlePlugin
+}
+
+// bestRate checks the plugins it wraps by itself,
+// so those can share a single set of market rates:
+const checkedSwapPlugins = {}
+for (const pluginId of Object.keys(swapPlugins)) {
+  checkedSwapPlugins[pluginId] = withRateCheck(swapPlugins[pluginId])
+}
 
 const edgeCorePlugins = {
   // Rate plugins:
@@ -35,19 +58,12 @@ const edgeCorePlugins = {
   currencyconverterapi: makeCurrencyconverterapiPlugin,
   edgeRates: makeEdgeRatesPlugin,
   nomics: makeNomicsPlugin,
+  sideshiftRates: makeSideshiftRatePlugin,
   wazirx: makeWazirxPlugin,
 
   // Swap plugins:
-  changelly: makeChangellyPlugin,
-  changenow: makeChangeNowPlugin,
-  coinswitch: makeCoinSwitchPlugin,
-  faast: makeFaastPlugin,
-  foxExchange: makeFoxExchangePlugin,
-  godex: makeGodexPlugin,
-  shapeshift: makeShapeshiftPlugin,
-  sideshift: makeSideshiftPlugin,
-  switchain: makeSwitchainPlugin,
-  totle: makeTotlePlugin,
+  ...checkedSwapPlugins,
+  bestRate: makeBestRatePlugin(swapPlugins),
   transfer: makeTransferPlugin
 }
 
@@ -58,4 +74,5 @@ if (
   window.addEdgeCorePlugins(edgeCorePlugins)
 }
 
+export { makeSwapOrderPoller } from './swap-status.js'
 export default edgeCorePlugins
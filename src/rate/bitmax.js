@@ -6,11 +6,13 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asBitMaxTickerResponse = asObject({ data: asObject({ close: asString }) })
 
 export function makeBitMaxPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
   const { io, log } = opts
-  const { fetchCors = io.fetch } = io
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -23,11 +25,10 @@ export function makeBitMaxPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
         // BitMax is only used to query FIO price
         if (pair.fromCurrency !== 'FIO') continue
         try {
-          const response = await fetchCors(
+          const json = await http.get(
             'https://bitmax.io/api/pro/v1/ticker?symbol=FIO/USDT'
           )
-          const json = await response.json()
-          if (!response.ok || json.reason === 'DATA_NOT_AVAILABLE') {
+          if (json.reason === 'DATA_NOT_AVAILABLE') {
             // Return fixed rate if data is unavailable
             break
           }
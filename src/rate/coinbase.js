@@ -6,6 +6,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asCoinbaseResponse = asObject({
   data: asObject({
     rates: asMap(asString)
@@ -16,6 +18,7 @@ export function makeCoinbasePlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
   const { io, log } = opts
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -26,10 +29,9 @@ export function makeCoinbasePlugin(
     async fetchRates(pairsHint) {
       const pairs = []
       try {
-        const reply = await io.fetch(
+        const json = await http.get(
           'https://api.coinbase.com/v2/exchange-rates'
         )
-        const json = await reply.json()
         const cleanJson = asCoinbaseResponse(json)
         for (const pair of pairsHint) {
           const cc = pair.fromCurrency
@@ -6,6 +6,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asCoincapResponse = asObject({
   data: asArray(
     asObject({
@@ -31,7 +33,7 @@ const currencyMap = {}
 
 export function makeCoincapPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
   const { io, log } = opts
-  const fetch = io.fetchCors || io.fetch
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -43,8 +45,7 @@ export function makeCoincapPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
       const pairs = []
       // Create unique ID map
       if (Object.keys(currencyMap).length === 0) {
-        const assets = await fetch(`https://api.coincap.io/v2/assets/`)
-        const assetsJson = await assets.json()
+        const assetsJson = await http.get(`https://api.coincap.io/v2/assets/`)
         const assetIds = asCoincapAssets(assetsJson.data)
         assetIds.forEach(code => (currencyMap[code.symbol] = code.id))
       }
@@ -62,25 +63,23 @@ export function makeCoincapPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
         )
           continue
         filteredPairs.push(currencyMap[pairsHint[i].fromCurrency])
-        if (filteredPairs.length === 100 || i === pairsHint.length - 1) {
+        if (filteredPairs.length === 100) {
           queryStrings.push(filteredPairs.join(','))
           filteredPairs = []
         }
       }
+      if (filteredPairs.length > 0) queryStrings.push(filteredPairs.join(','))
 
       for (const query of queryStrings) {
         // Coincap only provides prices in USD
         try {
-          const reply = await fetch(
+          const json = await http.get(
             `https://api.coincap.io/v2/assets?ids=${query}`
           )
-          const json = await reply.json()
           const { error } = asCoincapError(json)
-          if ((error != null && error !== '') || reply.ok === false) {
+          if (error != null && error !== '') {
             throw new Error(
-              `CoincapHistorical returned code ${JSON.stringify(
-                error ?? reply.status
-              )}`
+              `CoincapHistorical returned code ${JSON.stringify(error)}`
             )
           }
           asCoincapResponse(json).data.forEach(rate =>
@@ -6,6 +6,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asGeckoBulkUsdReply = asMap(asObject({ usd: asNumber }))
 
 const coinGeckoMap = {
@@ -117,6 +119,7 @@ export function makeCoinGeckoPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
   const { io, log } = opts
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -133,12 +136,11 @@ export function makeCoinGeckoPlugin(
           query.push(coinGeckoMap[pair.fromCurrency])
       }
       try {
-        const reply = await io.fetch(
+        const json = await http.get(
           `https://api.coingecko.com/api/v3/simple/price?ids=${query.join(
             ','
           )}&vs_currencies=usd`
         )
-        const json = await reply.json()
         const rates = asGeckoBulkUsdReply(json)
         Object.keys(rates).forEach(rate => {
           const fromCurrency = Object.keys(coinGeckoMap).find(
@@ -6,13 +6,15 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asCoinmonitorTickerResponse = asObject({ mediana_prom: asString })
 
 export function makeCoinmonitorPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
   const { io, log } = opts
-  const { fetchCors = io.fetch } = io
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -25,10 +27,9 @@ export function makeCoinmonitorPlugin(
       for (const pair of pairsHint) {
         if (pair.fromCurrency === 'BTC' && pair.toCurrency === 'iso:ARS') {
           try {
-            const response = await fetchCors(
+            const json = await http.get(
               'https://ar.coinmonitor.info/api/v3/btc_ars'
             )
-            const json = await response.json()
             const rate = Number(asCoinmonitorTickerResponse(json).mediana_prom)
             pairs.push({
               fromCurrency: 'BTC',
@@ -5,6 +5,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 function fixCurrency(currencyCode) {
   return currencyCode.toUpperCase()
 }
@@ -12,7 +14,8 @@ function fixCurrency(currencyCode) {
 export function makeCompoundPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
-  const { io } = opts
+  const { io, log } = opts
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -21,8 +24,9 @@ export function makeCompoundPlugin(
     },
 
     async fetchRates(pairsHint) {
-      const reply = await io.fetch('https://api.compound.finance/api/v2/ctoken')
-      const json = await reply.json()
+      const json: Object = await http.get(
+        'https://api.compound.finance/api/v2/ctoken'
+      )
       if (!json || !json.cToken) return []
 
       const pairs = []
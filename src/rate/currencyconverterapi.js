@@ -6,12 +6,15 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
-const asCurrencyConverterResponse = asObject({
+import { makeHttpClient } from '../http-helpers.js'
+
+const asCurrencyConverterError = asObject({
   status: asOptional(asNumber),
-  error: asOptional(asString),
-  ...asMap(asNumber)
+  error: asOptional(asString)
 })
 
+const asCurrencyConverterRates = asMap(asNumber)
+
 const checkAndPush = (isoCc, ccArray) => {
   if (isoCc !== 'iso:USD' && isoCc.slice(0, 4) === 'iso:') {
     const cc = isoCc.slice(4).toUpperCase()
@@ -25,12 +28,11 @@ export function makeCurrencyconverterapiPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
   const { io, log } = opts
-  const { fetchCors = io.fetch } = io
-
   const { apiKey } = opts.initOptions
   if (apiKey == null) {
     throw new Error('No currencyconverterapi apiKey provided')
   }
+  const http = makeHttpClient(io, { log, secrets: [apiKey] })
 
   return {
     rateInfo: {
@@ -52,23 +54,21 @@ export function makeCurrencyconverterapiPlugin(
       const pairs = []
       const query = isoCodesWanted.join(',')
       try {
-        const response = await fetchCors(
+        const json = await http.get(
           `https://api.currconv.com/api/v7/convert?q=${query}&compact=ultra&apiKey=${apiKey}`
         )
-        const { status, error, ...rates } = asCurrencyConverterResponse(
-          await response.json()
-        )
+        const { status, error } = asCurrencyConverterError(json)
         if (
           (status != null && status !== 200) ||
-          (error != null && error !== '') ||
-          response.ok === false
+          (error != null && error !== '')
         ) {
           throw new Error(
             `CurrencyConvertor returned with status: ${JSON.stringify(
-              status ?? response.status
+              status
             )} and error: ${JSON.stringify(error)}`
           )
         }
+        const rates = asCurrencyConverterRates(json)
         for (const rate of Object.keys(rates)) {
           pairs.push({
             fromCurrency: 'iso:USD',
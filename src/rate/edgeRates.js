@@ -6,6 +6,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asEdgeRatesResponse = asObject({
   exchangeRate: asString
 })
@@ -19,7 +21,7 @@ export function makeEdgeRatesPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
   const { io, log } = opts
-  const { fetch } = io
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -37,10 +39,9 @@ export function makeEdgeRatesPlugin(
         const fiatFrom = pair.fromCurrency.split(':')
         const fiatTo = pair.toCurrency.split(':')
         try {
-          const reply = await fetch(
+          const jsonData = await http.get(
             `https://rates1.edge.app/v1/exchangeRate?currency_pair=${fiatFrom[1]}_${fiatTo[1]}`
           )
-          const jsonData = await reply.json()
           const rate = Number(asEdgeRatesResponse(jsonData).exchangeRate)
           pairs.push({
             fromCurrency: pair.fromCurrency,
@@ -6,6 +6,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asNomicsResponse = asArray(
   asObject({
     price: asOptional(asString),
@@ -15,12 +17,13 @@ const asNomicsResponse = asArray(
 
 export function makeNomicsPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
   const { io, initOptions, log } = opts
-  const { fetchCors = io.fetch } = io
   const { apiKey } = initOptions
 
   if (apiKey == null) {
     throw new Error('No Nomics exchange rates API key provided')
   }
+  const http = makeHttpClient(io, { log, secrets: [apiKey] })
+
   return {
     rateInfo: {
       pluginId: 'nomics',
@@ -37,28 +40,18 @@ export function makeNomicsPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
         if (pairsHint[i].fromCurrency.indexOf('iso:') >= 0) continue
         if (filteredPairs.some(cc => cc === pairsHint[i].fromCurrency)) continue
         filteredPairs.push(pairsHint[i].fromCurrency)
-        if (filteredPairs.length === 100 || i === pairsHint.length - 1) {
+        if (filteredPairs.length === 100) {
           queryStrings.push(filteredPairs.join(','))
           filteredPairs = []
         }
       }
+      if (filteredPairs.length > 0) queryStrings.push(filteredPairs.join(','))
 
       for (const query of queryStrings) {
         try {
-          const reply = await fetchCors(
+          const replyJson = await http.get(
             `https://api.nomics.com/v1/currencies/ticker?key=${apiKey}&ids=${query}&convert=USD`
           )
-          const replyJson = await reply.json()
-          if (
-            reply.status === 429 ||
-            reply.status === 401 ||
-            reply.ok === false
-          )
-            throw new Error(
-              `Nomics returned with status: ${JSON.stringify(
-                reply.status
-              )} and error: ${JSON.stringify(replyJson)}`
-            )
           asNomicsResponse(replyJson).forEach(rate => {
             // When Nomics considers a coin "dead" they don't return a price
             if (rate.price)
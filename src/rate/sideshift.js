@@ -0,0 +1,146 @@
+// @flow
+
+import { asObject, asString } from 'cleaners'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRatePair,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import {
+  type SideshiftMethods,
+  createFetchFacts,
+  createSideshiftApi,
+  SIDESHIFT_BASE_URL
+} from '../swap/sideshift.js'
+
+const asSideshiftPair = asObject({
+  rate: asString
+})
+
+const RATE_TTL_MS = 1000 * 60
+const MAX_CONCURRENT_REQUESTS = 4
+
+/**
+ * Rate hints carry no network, so prefer the coin's native method
+ * (`eth` rather than `usdcEth`) and fall back to any enabled one.
+ */
+function getMethodId(
+  methods: SideshiftMethods,
+  currencyCode: string
+): string | void {
+  const asset = currencyCode.toLowerCase()
+  const methodIds = Object.keys(methods).filter(
+    methodId => methods[methodId].asset === asset && methods[methodId].enabled
+  )
+  return methodIds.find(methodId => methodId === asset) ?? methodIds[0]
+}
+
+/**
+ * Runs the tasks, but only a few at a time.
+ */
+async function runLimited(
+  tasks: Array<() => Promise<void>>,
+  limit: number
+): Promise<void> {
+  let next = 0
+  async function work(): Promise<void> {
+    while (next < tasks.length) await tasks[next++]()
+  }
+
+  const workers = []
+  for (let i = 0; i < Math.min(limit, tasks.length); ++i) workers.push(work())
+  await Promise.all(workers)
+}
+
+export function makeSideshiftRatePlugin(
+  opts: EdgeCorePluginOptions
+): EdgeRatePlugin {
+  const { io, log } = opts
+  const api = createSideshiftApi(SIDESHIFT_BASE_URL, io, { log })
+  const fetchFacts = createFetchFacts(api, opts)
+  const cache: {
+    [pair: string]: { promise: Promise<number>, timestamp: number }
+  } = {}
+
+  // Hints that land on the same methods share one request,
+  // even while it is still in flight:
+  function fetchRate(
+    depositMethodId: string,
+    settleMethodId: string
+  ): Promise<number> {
+    const key = `${depositMethodId}/${settleMethodId}`
+    const cached = cache[key]
+    if (cached != null && Date.now() - cached.timestamp < RATE_TTL_MS) {
+      return cached.promise
+    }
+
+    const promise = api
+      .get<mixed>(`/pairs/${key}`)
+      .then(reply => Number(asSideshiftPair(reply).rate))
+    cache[key] = { promise, timestamp: Date.now() }
+
+    // Let the next request try again:
+    promise.catch(() => {
+      if (cache[key] != null && cache[key].promise === promise) {
+        delete cache[key]
+      }
+    })
+    return promise
+  }
+
+  return {
+    rateInfo: {
+      pluginId: 'sideshiftRates',
+      displayName: 'SideShift.ai'
+    },
+
+    async fetchRates(pairsHint) {
+      const pairs: EdgeRatePair[] = []
+
+      // SideShift only quotes crypto-to-crypto:
+      const hints = pairsHint.filter(
+        (pair, i) =>
+          pair.fromCurrency.indexOf('iso:') < 0 &&
+          pair.toCurrency.indexOf('iso:') < 0 &&
+          pair.fromCurrency !== pair.toCurrency &&
+          pairsHint.findIndex(
+            other =>
+              other.fromCurrency === pair.fromCurrency &&
+              other.toCurrency === pair.toCurrency
+          ) === i
+      )
+      if (hints.length === 0) return pairs
+
+      let facts
+      try {
+        facts = await fetchFacts()
+      } catch (e) {
+        log.warn(`Issue with SideShift.ai facts data structure ${e}`)
+        return pairs
+      }
+
+      await runLimited(
+        hints.map(({ fromCurrency, toCurrency }) => async () => {
+          const depositMethodId = getMethodId(
+            facts.depositMethods,
+            fromCurrency
+          )
+          const settleMethodId = getMethodId(facts.settleMethods, toCurrency)
+          if (depositMethodId == null || settleMethodId == null) return
+
+          try {
+            const rate = await fetchRate(depositMethodId, settleMethodId)
+            pairs.push({ fromCurrency, toCurrency, rate })
+          } catch (e) {
+            log.warn(
+              `Issue with SideShift.ai rate data structure for ${fromCurrency}/${toCurrency} pair. Error: ${e}`
+            )
+          }
+        }),
+        MAX_CONCURRENT_REQUESTS
+      )
+      return pairs
+    }
+  }
+}
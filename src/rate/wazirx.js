@@ -6,6 +6,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+
 const asWazirxResponse = asMap(
   asObject({
     last: asString
@@ -22,7 +24,7 @@ function fixCurrency(currencyCode) {
 
 export function makeWazirxPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
   const { io, log } = opts
-  const { fetchCors = io.fetch } = io
+  const http = makeHttpClient(io, { log })
 
   return {
     rateInfo: {
@@ -39,10 +41,7 @@ export function makeWazirxPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
 
         try {
           if (rates === undefined) {
-            const reply = await fetchCors(
-              'https://api.wazirx.com/api/v2/tickers'
-            )
-            const json = await reply.json()
+            const json = await http.get('https://api.wazirx.com/api/v2/tickers')
             rates = asWazirxResponse(json)
           }
 
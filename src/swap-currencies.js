@@ -0,0 +1,123 @@
+// @flow
+
+import {
+  type EdgeCurrencyWallet,
+  type EdgeSwapInfo,
+  type EdgeSwapRequest,
+  SwapCurrencyError
+} from 'edge-core-js/types'
+
+/**
+ * How a swap provider names a currency on a particular chain.
+ */
+export type ProviderCurrency = {
+  currencyCode: string,
+  network: string
+}
+
+// Chains providers name differently than Edge does.
+// Edge pluginId: { provider pluginId: provider network }
+const NETWORKS: { [pluginId: string]: { [providerId: string]: string } } = {
+  binancesmartchain: { sideshift: 'bsc' }
+}
+
+// Currencies providers name differently than Edge does.
+// Each chain's entries are keyed by currency code or lowercase token contract,
+// and a `null` symbol means the provider doesn't support that currency.
+// Edge pluginId: { code or contract: { provider pluginId: provider symbol } }
+const CURRENCIES: {
+  [pluginId: string]: {
+    [codeOrContract: string]: { [providerId: string]: string | null }
+  }
+} = {
+  ethereum: {
+    // USDT:
+    '0xdac17f958d2ee523a2206206994597c13d831ec7': {
+      changelly: 'USDT20',
+      changenow: 'USDTERC20'
+    }
+  },
+  fantom: {
+    // ChangeNow only supports FTM as an ERC20 token:
+    FTM: { changenow: null }
+  }
+}
+
+// Providers that name tokens by symbol alone, without a network,
+// assume any token lives on one of these chains.
+// Tokens elsewhere need a registry entry on their own chain.
+const TOKEN_CHAINS: { [providerId: string]: string[] } = {
+  changelly: ['ethereum'],
+  changenow: ['ethereum']
+}
+
+function getContractAddress(
+  wallet: EdgeCurrencyWallet,
+  currencyCode: string
+): string | void {
+  const { metaTokens = [] } = wallet.currencyInfo
+  const token = metaTokens.find(token => token.currencyCode === currencyCode)
+  if (token != null && token.contractAddress != null) {
+    return token.contractAddress.toLowerCase()
+  }
+}
+
+/**
+ * Looks up a provider's name for a currency on the wallet's chain,
+ * or returns nothing if the provider doesn't support it there.
+ * Currencies without registry entries keep their Edge names,
+ * except for tokens on chains the provider can't tell apart.
+ */
+export function getProviderCurrency(
+  providerId: string,
+  wallet: EdgeCurrencyWallet,
+  currencyCode: string
+): ProviderCurrency | void {
+  const { pluginId } = wallet.currencyInfo
+  const networks = NETWORKS[pluginId] ?? {}
+  const currencies = CURRENCIES[pluginId] ?? {}
+
+  const contractAddress = getContractAddress(wallet, currencyCode)
+  const entry =
+    (contractAddress != null ? currencies[contractAddress] : undefined) ??
+    currencies[currencyCode] ??
+    {}
+
+  const symbol = entry[providerId]
+  if (symbol === null) return
+
+  // The provider would mistake this token for its namesake elsewhere:
+  const tokenChains = TOKEN_CHAINS[providerId]
+  if (
+    symbol == null &&
+    tokenChains != null &&
+    !tokenChains.includes(pluginId) &&
+    currencyCode !== wallet.currencyInfo.currencyCode
+  ) {
+    return
+  }
+
+  return {
+    currencyCode: symbol ?? currencyCode,
+    network: networks[providerId] ?? pluginId
+  }
+}
+
+/**
+ * Looks up both sides of a swap request,
+ * throwing `SwapCurrencyError` if the provider doesn't support either one.
+ */
+export function getProviderCurrencies(
+  swapInfo: EdgeSwapInfo,
+  request: EdgeSwapRequest
+): { from: ProviderCurrency, to: ProviderCurrency } {
+  const { fromCurrencyCode, fromWallet, toCurrencyCode, toWallet } = request
+  const { pluginId } = swapInfo
+
+  const from = getProviderCurrency(pluginId, fromWallet, fromCurrencyCode)
+  const to = getProviderCurrency(pluginId, toWallet, toCurrencyCode)
+  if (from == null || to == null) {
+    throw new SwapCurrencyError(swapInfo, fromCurrencyCode, toCurrencyCode)
+  }
+  return { from, to }
+}
@@ -1,32 +1,195 @@
 // @flow
+/* global AbortController */
 
+import { add, div, gt, lt, mul } from 'biggystring'
 import {
+  type EdgeLog,
+  type EdgeSwapInfo,
+  type EdgeSwapPlugin,
   type EdgeSwapQuote,
   type EdgeSwapRequest,
   type EdgeSwapResult,
-  type EdgeTransaction
+  type EdgeTransaction,
+  type EdgeTxSwap,
+  InsufficientFundsError,
+  SwapAboveLimitError,
+  SwapBelowLimitError
 } from 'edge-core-js/types'
 
+import { onAbort } from './http-helpers.js'
+import { type SwapHistory, type SwapOrderRecord } from './swap-history.js'
+
+/**
+ * The quote expired before the user approved it,
+ * and the replacement quote moved too far from the original amounts.
+ */
+export class SwapQuoteExpiredError extends Error {
+  name: string
+  +pluginId: string
+  +fromNativeAmount: string
+  +toNativeAmount: string
+
+  constructor(
+    swapInfo: EdgeSwapInfo,
+    fromNativeAmount: string,
+    toNativeAmount: string
+  ) {
+    super('Quote expired, amounts changed')
+    this.name = 'SwapQuoteExpiredError'
+    this.pluginId = swapInfo.pluginId
+    this.fromNativeAmount = fromNativeAmount
+    this.toNativeAmount = toNativeAmount
+  }
+}
+
+/**
+ * The user approved a quote after its expiration date,
+ * so the provider would just refund the deposit.
+ */
+export class SwapExpiredError extends Error {
+  name: string
+  +pluginId: string
+  +expirationDate: Date
+
+  constructor(pluginId: string, expirationDate: Date) {
+    super(`Quote expired at ${expirationDate.toISOString()}`)
+    this.name = 'SwapExpiredError'
+    this.pluginId = pluginId
+    this.expirationDate = expirationDate
+  }
+}
+
+/**
+ * The deposit transaction no longer pays the address or amount
+ * the provider gave for the order.
+ */
+export class SwapDepositMismatchError extends Error {
+  name: string
+  +pluginId: string
+  +depositAddress: string
+  +depositNativeAmount: string | void
+
+  constructor(
+    pluginId: string,
+    depositAddress: string,
+    depositNativeAmount?: string
+  ) {
+    super(`Deposit doesn't match the ${pluginId} order`)
+    this.name = 'SwapDepositMismatchError'
+    this.pluginId = pluginId
+    this.depositAddress = depositAddress
+    this.depositNativeAmount = depositNativeAmount
+  }
+}
+
+/**
+ * The caller gave up on a quote, or the quote missed its deadline.
+ */
+export class SwapQuoteCancelledError extends Error {
+  name: string
+  +pluginId: string
+  +reason: 'cancelled' | 'deadline'
+
+  constructor(pluginId: string, reason: 'cancelled' | 'deadline') {
+    super(
+      reason === 'deadline'
+        ? `${pluginId} did not quote in time`
+        : `${pluginId} quote cancelled`
+    )
+    this.name = 'SwapQuoteCancelledError'
+    this.pluginId = pluginId
+    this.reason = reason
+  }
+}
+
+/**
+ * A multi-transaction swap failed part-way through.
+ * The earlier transactions, such as token approvals, are already on chain,
+ * so the user needs to know about them even though the swap didn't happen.
+ */
+export class SwapStepError extends Error {
+  name: string
+  +pluginId: string
+  +step: number // The index of the transaction that failed
+  +broadcastTransactions: EdgeTransaction[]
+  +error: mixed
+
+  constructor(
+    pluginId: string,
+    step: number,
+    broadcastTransactions: EdgeTransaction[],
+    error: mixed
+  ) {
+    super(`Swap step ${step + 1} failed: ${String(error)}`)
+    this.name = 'SwapStepError'
+    this.pluginId = pluginId
+    this.step = step
+    this.broadcastTransactions = broadcastTransactions
+    this.error = error
+  }
+}
+
+export type SwapStepProgress = {
+  step: number, // The index of the transaction that just went out
+  stepCount: number,
+  transaction: EdgeTransaction
+}
+
+// Extra `swapData` fields recording the deposit a provider asked for,
+// so the quote can check the transaction before sending it:
+export type SwapDepositData = {
+  depositAddress?: string,
+  depositNativeAmount?: string
+}
+
+export type SwapQuoteOptions = {
+  history?: SwapHistory, // Records the order once the swap goes out
+  log?: EdgeLog, // Hears about problems that don't stop the swap
+  onProgress?: (progress: SwapStepProgress) => mixed
+}
+
+/**
+ * Wraps the transactions a swap needs into a quote.
+ *
+ * Swaps needing several transactions, such as a token approval
+ * followed by the swap itself, pass them in order, with the swap last.
+ * If one fails, the later ones never go out.
+ *
+ * Before signing anything, approving checks that the quote hasn't expired,
+ * that each deposit still matches its order, and that the wallet
+ * can still cover the amount plus fees.
+ */
 export function makeSwapPluginQuote(
   request: EdgeSwapRequest,
   fromNativeAmount: string,
   toNativeAmount: string,
-  tx: EdgeTransaction,
+  tx: EdgeTransaction | EdgeTransaction[],
   destinationAddress: string,
   pluginId: string,
   isEstimate: boolean = false,
   expirationDate?: Date,
-  quoteId?: string
+  quoteId?: string,
+  opts: SwapQuoteOptions = {}
 ): EdgeSwapQuote {
   const { fromWallet } = request
+  const { history, log, onProgress } = opts
+  const txs = Array.isArray(tx) ? tx : [tx]
+  if (txs.length === 0) throw new Error(`${pluginId} quote has no transactions`)
+
+  let networkFee = '0'
+  for (const tx of txs) {
+    networkFee = add(
+      networkFee,
+      tx.parentNetworkFee != null ? tx.parentNetworkFee : tx.networkFee
+    )
+  }
 
   const out: EdgeSwapQuote = {
     fromNativeAmount,
     toNativeAmount,
     networkFee: {
       currencyCode: fromWallet.currencyInfo.currencyCode,
-      nativeAmount:
-        tx.parentNetworkFee != null ? tx.parentNetworkFee : tx.networkFee
+      nativeAmount: networkFee
     },
     destinationAddress,
     pluginId,
@@ -34,20 +197,370 @@ export function makeSwapPluginQuote(
     quoteId,
     isEstimate,
     async approve(): Promise<EdgeSwapResult> {
-      const signedTransaction = await fromWallet.signTx(tx)
-      const broadcastedTransaction = await fromWallet.broadcastTx(
-        signedTransaction
-      )
-      await fromWallet.saveTx(signedTransaction)
+      if (expirationDate != null && Date.now() >= expirationDate.valueOf()) {
+        throw new SwapExpiredError(pluginId, expirationDate)
+      }
+      for (const tx of txs) checkDeposit(pluginId, tx)
+      checkBalances(request, fromNativeAmount, txs)
+
+      const broadcastTransactions: EdgeTransaction[] = []
+      for (const tx of txs) {
+        const step = broadcastTransactions.length
+        let signedTransaction, transaction
+        try {
+          signedTransaction = await fromWallet.signTx(tx)
+          transaction = await fromWallet.broadcastTx(signedTransaction)
+        } catch (error) {
+          if (broadcastTransactions.length === 0) throw error
+          throw new SwapStepError(pluginId, step, broadcastTransactions, error)
+        }
+        broadcastTransactions.push(transaction)
+
+        // The transaction is out, so the swap has to carry on.
+        // The wallet finds it on chain anyway, minus the local metadata:
+        await fromWallet.saveTx(signedTransaction).catch(e => {
+          if (log != null) log.warn(`${pluginId}: Could not save swap tx: ${e}`)
+        })
+        if (onProgress != null) {
+          onProgress({ step, stepCount: txs.length, transaction })
+        }
+      }
+      const transaction =
+        broadcastTransactions[broadcastTransactions.length - 1]
+      // Swaps without a provider order, like DEX trades,
+      // are tracked by their swap transaction:
+      const orderId = quoteId != null ? quoteId : transaction.txid
 
-      return {
-        transaction: broadcastedTransaction,
-        orderId: quoteId,
-        destinationAddress
+      const swapData = txs[txs.length - 1].swapData
+      if (history != null && swapData != null) {
+        await history.save(
+          makeOrderRecord(out, request, swapData, broadcastTransactions, {
+            orderId,
+            deposit: txs[txs.length - 1]
+          })
+        )
       }
+
+      return { transaction, orderId, destinationAddress }
     },
 
     async close() {}
   }
   return out
 }
+
+/**
+ * Collects what support needs to know about a swap that just went out.
+ */
+function makeOrderRecord(
+  quote: EdgeSwapQuote,
+  request: EdgeSwapRequest,
+  swapData: EdgeTxSwap,
+  broadcastTransactions: EdgeTransaction[],
+  opts: { orderId: string, deposit: EdgeTransaction }
+): SwapOrderRecord {
+  const { orderId, deposit } = opts
+  const extras: SwapDepositData & { payoutMemo?: string } = (swapData: any)
+  const { depositAddress, payoutMemo } = extras
+  const target =
+    deposit.spendTargets != null
+      ? deposit.spendTargets.find(
+          target => target.publicAddress === depositAddress
+        )
+      : undefined
+
+  return {
+    pluginId: quote.pluginId,
+    orderId,
+    orderUri: swapData.orderUri,
+    status: 'waiting',
+    isEstimate: quote.isEstimate,
+    createdDate: new Date(),
+    expirationDate: quote.expirationDate,
+
+    fromWalletId: request.fromWallet.id,
+    fromCurrencyCode: request.fromCurrencyCode,
+    fromNativeAmount: quote.fromNativeAmount,
+    depositAddress,
+    depositMemo: target != null ? target.uniqueIdentifier : undefined,
+    txids: broadcastTransactions.map(tx => tx.txid),
+
+    payoutWalletId: swapData.payoutWalletId,
+    payoutCurrencyCode: swapData.payoutCurrencyCode,
+    payoutNativeAmount: swapData.payoutNativeAmount,
+    payoutAddress: swapData.payoutAddress,
+    payoutMemo,
+    refundAddress: swapData.refundAddress
+  }
+}
+
+/**
+ * Compares a transaction's spend targets with the deposit in its `swapData`.
+ * Wallets that don't report their spend targets can't be checked.
+ */
+function checkDeposit(pluginId: string, tx: EdgeTransaction): void {
+  const { spendTargets } = tx
+  const swapData: SwapDepositData = (tx.swapData: any) ?? {}
+  const { depositAddress, depositNativeAmount } = swapData
+  if (depositAddress == null || spendTargets == null) return
+
+  const target = spendTargets.find(
+    target => target.publicAddress === depositAddress
+  )
+  if (
+    target == null ||
+    (depositNativeAmount != null && target.nativeAmount !== depositNativeAmount)
+  ) {
+    throw new SwapDepositMismatchError(
+      pluginId,
+      depositAddress,
+      depositNativeAmount
+    )
+  }
+}
+
+/**
+ * Checks that the wallet still holds the swap amount plus every fee.
+ * Token fees come out of the parent currency.
+ */
+function checkBalances(
+  request: EdgeSwapRequest,
+  fromNativeAmount: string,
+  txs: EdgeTransaction[]
+): void {
+  const { fromCurrencyCode, fromWallet } = request
+  const parentCurrencyCode = fromWallet.currencyInfo.currencyCode
+
+  const needed: { [currencyCode: string]: string } = {
+    [fromCurrencyCode]: fromNativeAmount
+  }
+  function need(currencyCode: string, nativeAmount: string): void {
+    needed[currencyCode] = add(needed[currencyCode] ?? '0', nativeAmount)
+  }
+  for (const tx of txs) {
+    if (tx.parentNetworkFee != null) {
+      need(parentCurrencyCode, tx.parentNetworkFee)
+    } else {
+      need(tx.currencyCode, tx.networkFee)
+    }
+  }
+
+  for (const currencyCode of Object.keys(needed)) {
+    const balance = fromWallet.getBalance({ currencyCode })
+    if (lt(balance, needed[currencyCode])) {
+      throw new InsufficientFundsError(currencyCode)
+    }
+  }
+}
+
+// The options the core passes to `fetchSwapQuote`, plus cancellation:
+export type SwapQuoteFetchOptions = {
+  promoCode?: string,
+  signal?: AbortSignal, // Fires once the user changes the request
+  deadline?: Date // Give up on the quote after this
+}
+
+/**
+ * Reads the cancellation options, which the core's types don't include.
+ */
+export function getQuoteFetchOptions(
+  opts: { promoCode?: string } = {}
+): SwapQuoteFetchOptions {
+  return (opts: any)
+}
+
+/**
+ * Makes a plugin's quotes cancellable, through either the caller's `signal`
+ * or a `deadline`. The plugin gets a single `signal` covering both,
+ * which it passes along to its HTTP requests.
+ *
+ * Quotes that show up after being cancelled get closed,
+ * so the orders behind them don't linger.
+ */
+export function makeCancellableSwapPlugin(
+  plugin: EdgeSwapPlugin
+): EdgeSwapPlugin {
+  const { pluginId } = plugin.swapInfo
+
+  return {
+    ...plugin,
+
+    async fetchSwapQuote(
+      request: EdgeSwapRequest,
+      userSettings: Object | void,
+      opts: { promoCode?: string } = {}
+    ): Promise<EdgeSwapQuote> {
+      const { signal, deadline } = getQuoteFetchOptions(opts)
+      const controller = new AbortController()
+      let reason = 'cancelled'
+
+      const cancel = () => controller.abort()
+      if (signal != null) {
+        if (signal.aborted) cancel()
+        else signal.addEventListener('abort', cancel)
+      }
+      let timer
+      if (deadline != null) {
+        const ms = deadline.valueOf() - Date.now()
+        if (ms <= 0 && !controller.signal.aborted) {
+          reason = 'deadline'
+          cancel()
+        }
+        timer = setTimeout(() => {
+          reason = 'deadline'
+          cancel()
+        }, ms)
+      }
+
+      const abort = onAbort(
+        controller.signal,
+        () => new SwapQuoteCancelledError(pluginId, reason)
+      )
+      try {
+        if (controller.signal.aborted) {
+          throw new SwapQuoteCancelledError(pluginId, reason)
+        }
+        const quotePromise = plugin.fetchSwapQuote(request, userSettings, {
+          ...opts,
+          signal: controller.signal
+        })
+        try {
+          return await Promise.race([quotePromise, abort.promise])
+        } catch (error) {
+          if (controller.signal.aborted) closeLateQuote(quotePromise)
+          throw error
+        }
+      } finally {
+        clearTimeout(timer)
+        abort.cleanup()
+        if (signal != null) signal.removeEventListener('abort', cancel)
+      }
+    }
+  }
+}
+
+/**
+ * Fetches a fixed quote, falling back on an estimate if that fails.
+ * Providers create an order for each estimate as well,
+ * so the estimate only starts once the fixed quote has failed.
+ */
+export async function fetchFixedOrEstimate(
+  signal: AbortSignal | void,
+  fetchFixed: (signal: AbortSignal | void) => Promise<EdgeSwapQuote>,
+  fetchEstimate: (signal: AbortSignal | void) => Promise<EdgeSwapQuote>
+): Promise<EdgeSwapQuote> {
+  try {
+    return await fetchFixed(signal)
+  } catch (e) {
+    // A cancelled quote shouldn't go on to order an estimate:
+    if (signal != null && signal.aborted) throw e
+    return await fetchEstimate(signal)
+  }
+}
+
+function closeLateQuote(quotePromise: Promise<EdgeSwapQuote>): void {
+  quotePromise.then(quote => quote.close()).catch(() => {})
+}
+
+export type SwapLimits = {
+  // The provider's limits, in whole units of the `limitCurrency`:
+  min?: string | number | null,
+  max?: string | number | null,
+  limitCurrency?: 'from' | 'to', // Defaults to 'from'
+
+  // The amounts being swapped, in native units.
+  // Whichever side the request leaves out gets estimated using the `rate`:
+  fromNativeAmount?: string,
+  toNativeAmount?: string,
+  rate?: string | number // How many "to" units one "from" unit buys
+}
+
+/**
+ * Checks a swap against the provider's limits.
+ *
+ * The core expects limit errors to carry the limit in the "from" currency,
+ * so limits in the "to" currency get converted using the swap's own rate.
+ */
+export async function checkSwapLimits(
+  swapInfo: EdgeSwapInfo,
+  request: EdgeSwapRequest,
+  limits: SwapLimits
+): Promise<void> {
+  const { fromCurrencyCode, fromWallet, toCurrencyCode, toWallet } = request
+  const { min, max, limitCurrency = 'from', rate } = limits
+  const fromLimits = limitCurrency === 'from'
+
+  let {
+    fromNativeAmount = request.quoteFor === 'from'
+      ? request.nativeAmount
+      : undefined,
+    toNativeAmount = request.quoteFor === 'to'
+      ? request.nativeAmount
+      : undefined
+  } = limits
+
+  // Estimate the missing side:
+  if (rate != null && fromNativeAmount == null && toNativeAmount != null) {
+    const toAmount = await toWallet.nativeToDenomination(
+      toNativeAmount,
+      toCurrencyCode
+    )
+    fromNativeAmount = div(
+      await fromWallet.denominationToNative(
+        div(toAmount, String(rate), 16),
+        fromCurrencyCode
+      ),
+      '1'
+    )
+  }
+  if (rate != null && toNativeAmount == null && fromNativeAmount != null) {
+    const fromAmount = await fromWallet.nativeToDenomination(
+      fromNativeAmount,
+      fromCurrencyCode
+    )
+    toNativeAmount = div(
+      await toWallet.denominationToNative(
+        mul(fromAmount, String(rate)),
+        toCurrencyCode
+      ),
+      '1'
+    )
+  }
+
+  const wallet = fromLimits ? fromWallet : toWallet
+  const currencyCode = fromLimits ? fromCurrencyCode : toCurrencyCode
+  const amount = fromLimits ? fromNativeAmount : toNativeAmount
+  if (amount == null) {
+    throw new Error(`${swapInfo.pluginId} needs a rate to check limits`)
+  }
+
+  // Puts a limit in "from" native units, rounding into the valid range:
+  function toFromNative(nativeLimit: string, roundUp: boolean): string {
+    if (fromLimits) return nativeLimit
+    if (fromNativeAmount == null || toNativeAmount == null) {
+      throw new Error(`${swapInfo.pluginId} needs a rate to check limits`)
+    }
+    const scaled = mul(nativeLimit, fromNativeAmount)
+    const out = div(scaled, toNativeAmount)
+    return roundUp && lt(mul(out, toNativeAmount), scaled) ? add(out, '1') : out
+  }
+
+  if (min != null) {
+    const nativeMin = await wallet.denominationToNative(
+      String(min),
+      currencyCode
+    )
+    if (lt(amount, nativeMin)) {
+      throw new SwapBelowLimitError(swapInfo, toFromNative(nativeMin, true))
+    }
+  }
+  if (max != null) {
+    const nativeMax = await wallet.denominationToNative(
+      String(max),
+      currencyCode
+    )
+    if (gt(amount, nativeMax)) {
+      throw new SwapAboveLimitError(swapInfo, toFromNative(nativeMax, false))
+    }
+  }
+}
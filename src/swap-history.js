@@ -0,0 +1,240 @@
+// @flow
+
+import {
+  asArray,
+  asBoolean,
+  asDate,
+  asObject,
+  asOptional,
+  asString
+} from 'cleaners'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeSwapPlugin
+} from 'edge-core-js/types'
+
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusPlugin,
+  type SwapOrderStatusType
+} from './swap-status.js'
+
+const HISTORY_FILE = 'swap-history.json'
+
+/**
+ * Everything needed to follow up on a swap after it leaves the quote screen.
+ * The `pluginId` & `orderId` also make this a `SavedSwap` for the poller.
+ */
+export type SwapOrderRecord = {
+  pluginId: string,
+  orderId: string,
+  orderUri?: string,
+  status: SwapOrderStatusType,
+  isEstimate: boolean,
+  createdDate: Date,
+  expirationDate?: Date,
+
+  // What the user sent:
+  fromWalletId: string,
+  fromCurrencyCode: string,
+  fromNativeAmount: string,
+  depositAddress?: string,
+  depositMemo?: string,
+  txids: string[],
+
+  // What the provider promised:
+  payoutWalletId: string,
+  payoutCurrencyCode: string,
+  payoutNativeAmount: string,
+  payoutAddress: string,
+  payoutMemo?: string,
+  refundAddress?: string
+}
+
+export type SwapHistoryFilter = {
+  pluginId?: string,
+  status?: SwapOrderStatusType | SwapOrderStatusType[],
+  since?: Date // Only swaps created at or after this date
+}
+
+export type SwapHistory = {
+  save(record: SwapOrderRecord): Promise<void>,
+  setStatus(
+    pluginId: string,
+    orderId: string,
+    status: SwapOrderStatusType
+  ): Promise<void>,
+
+  // Newest first:
+  list(filter?: SwapHistoryFilter): Promise<SwapOrderRecord[]>,
+
+  // The matching records as JSON, for support requests:
+  exportRecords(filter?: SwapHistoryFilter): Promise<string>
+}
+
+// The part of the history plugins expose as `swapHistory`:
+export type SwapHistoryReader = {
+  list(filter?: SwapHistoryFilter): Promise<SwapOrderRecord[]>,
+  exportRecords(filter?: SwapHistoryFilter): Promise<string>
+}
+
+export type SwapHistoryPlugin = {
+  +swapHistory?: SwapHistoryReader
+}
+
+/**
+ * Keeps a record of every swap a plugin sends in its own disklet,
+ * since the core only keeps what fits in the transaction metadata.
+ *
+ * History is a convenience, so failing to save it is only logged.
+ */
+export function makeSwapHistory(opts: EdgeCorePluginOptions): SwapHistory {
+  const { log, pluginDisklet } = opts
+  let cache: SwapOrderRecord[] | void
+
+  async function load(): Promise<SwapOrderRecord[]> {
+    if (cache == null) {
+      let raw: mixed = []
+      try {
+        raw = JSON.parse(await pluginDisklet.getText(HISTORY_FILE))
+      } catch (e) {}
+
+      // Drop damaged records rather than losing the whole history:
+      cache = []
+      for (const item of Array.isArray(raw) ? raw : []) {
+        try {
+          cache.push(asSwapOrderRecord(item))
+        } catch (e) {
+          log.warn(`Dropping damaged swap history record: ${e}`)
+        }
+      }
+    }
+    return cache
+  }
+
+  async function write(records: SwapOrderRecord[]): Promise<void> {
+    await pluginDisklet
+      .setText(HISTORY_FILE, JSON.stringify(records))
+      .catch(e => log.warn(`Could not save swap history: ${e}`))
+  }
+
+  async function list(
+    filter: SwapHistoryFilter = {}
+  ): Promise<SwapOrderRecord[]> {
+    const { pluginId, status, since } = filter
+    const statuses = status == null || Array.isArray(status) ? status : [status]
+
+    const records = await load()
+    return records
+      .filter(
+        record =>
+          (pluginId == null || record.pluginId === pluginId) &&
+          (statuses == null || statuses.includes(record.status)) &&
+          (since == null || record.createdDate >= since)
+      )
+      .sort((a, b) => b.createdDate.valueOf() - a.createdDate.valueOf())
+  }
+
+  return {
+    async save(record: SwapOrderRecord): Promise<void> {
+      const records = await load()
+      const index = records.findIndex(
+        old =>
+          old.pluginId === record.pluginId && old.orderId === record.orderId
+      )
+      if (index >= 0) records[index] = record
+      else records.push(record)
+      await write(records)
+    },
+
+    async setStatus(
+      pluginId: string,
+      orderId: string,
+      status: SwapOrderStatusType
+    ): Promise<void> {
+      const records = await load()
+      const record = records.find(
+        record => record.pluginId === pluginId && record.orderId === orderId
+      )
+      if (record == null || record.status === status) return
+      record.status = status
+      await write(records)
+    },
+
+    list,
+
+    async exportRecords(filter?: SwapHistoryFilter): Promise<string> {
+      return JSON.stringify(await list(filter), null, 2)
+    }
+  }
+}
+
+/**
+ * Exposes a plugin's history as `swapHistory`, and records every status
+ * its `fetchOrderStatus` reports, including those the poller asks for.
+ */
+export function withSwapHistory(
+  plugin: EdgeSwapPlugin,
+  history: SwapHistory
+): EdgeSwapPlugin {
+  const { pluginId } = plugin.swapInfo
+  const { fetchOrderStatus }: SwapOrderStatusPlugin = (plugin: any)
+  const swapHistory: SwapHistoryReader = {
+    list: filter => history.list(filter),
+    exportRecords: filter => history.exportRecords(filter)
+  }
+  if (fetchOrderStatus == null) return { ...plugin, swapHistory }
+
+  return {
+    ...plugin,
+    swapHistory,
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const status = await fetchOrderStatus(orderId)
+      await history.setStatus(pluginId, orderId, status.status)
+      return status
+    }
+  }
+}
+
+const STATUSES: SwapOrderStatusType[] = [
+  'waiting',
+  'pending',
+  'settling',
+  'settled',
+  'refunding',
+  'refunded',
+  'expired',
+  'failed'
+]
+
+function asSwapOrderStatusType(raw: mixed): SwapOrderStatusType {
+  const status = asString(raw)
+  const out = STATUSES.find(known => known === status)
+  if (out == null) throw new TypeError(`Unknown swap status ${status}`)
+  return out
+}
+
+const asSwapOrderRecord = asObject({
+  pluginId: asString,
+  orderId: asString,
+  orderUri: asOptional(asString),
+  status: asSwapOrderStatusType,
+  isEstimate: asBoolean,
+  createdDate: asDate,
+  expirationDate: asOptional(asDate),
+
+  fromWalletId: asString,
+  fromCurrencyCode: asString,
+  fromNativeAmount: asString,
+  depositAddress: asOptional(asString),
+  depositMemo: asOptional(asString),
+  txids: asArray(asString),
+
+  payoutWalletId: asString,
+  payoutCurrencyCode: asString,
+  payoutNativeAmount: asString,
+  payoutAddress: asString,
+  payoutMemo: asOptional(asString),
+  refundAddress: asOptional(asString)
+})
@@ -0,0 +1,283 @@
+// @flow
+
+import { div } from 'biggystring'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRatePlugin,
+  type EdgeSwapPlugin,
+  type EdgeSwapQuote,
+  type EdgeSwapRequest
+} from 'edge-core-js/types'
+
+import { onAbort } from './http-helpers.js'
+import { makeCoincapPlugin } from './rate/coincap.js'
+import { makeCoinGeckoPlugin } from './rate/coingecko.js'
+import { makeNomicsPlugin } from './rate/nomics.js'
+import {
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin
+} from './swap-helpers.js'
+
+const RATE_CACHE_MS = 1000 * 60
+const DEFAULT_MAX_DEVIATION = 0.2
+const DEFAULT_RATE_TIMEOUT_MS = 1000 * 5
+
+type SwapPluginFactory = (opts: EdgeCorePluginOptions) => EdgeSwapPlugin
+
+/**
+ * How a quote compares with the market, in "to" units per "from" unit.
+ * A negative deviation means the user gets less than the market rate.
+ */
+export type SwapRateCheck = {
+  quotedRate: number,
+  marketRate: number,
+  deviation: number,
+  flagged: boolean
+}
+
+/**
+ * Swap plugins take these from their `initOptions`.
+ */
+export type SwapRateCheckOptions = {
+  maxRateDeviation?: number, // Fraction of the market rate, like 0.2
+  rateDeviationAction?: 'reject' | 'flag',
+  rateTimeoutMs?: number, // How long to wait for rates once the quote is in
+  nomicsApiKey?: string
+}
+
+export type MarketRates = {
+  // The "to" price of one "from" unit, according to each rate source:
+  fetchCrossRates(
+    fromCurrencyCode: string,
+    toCurrencyCode: string
+  ): Promise<number[]>
+}
+
+/**
+ * Thrown when a quote strays too far from the market rate,
+ * which usually means the provider got its decimals wrong.
+ */
+export class SwapRateDeviationError extends Error {
+  pluginId: string
+  rateCheck: SwapRateCheck
+
+  constructor(pluginId: string, rateCheck: SwapRateCheck) {
+    const { deviation } = rateCheck
+    const percent = Math.abs(deviation * 100).toFixed(1)
+    const side = deviation < 0 ? 'below' : 'above'
+    super(`${pluginId} quoted a rate ${percent}% ${side} the market`)
+    this.name = 'SwapRateDeviationError'
+    this.pluginId = pluginId
+    this.rateCheck = rateCheck
+  }
+}
+
+/**
+ * Prices currencies using our own rate plugins.
+ * Nomics only joins in if the swap plugin has a `nomicsApiKey`.
+ */
+export function makeMarketRates(
+  opts: EdgeCorePluginOptions,
+  ratePlugins: EdgeRatePlugin[] = makeRatePlugins(opts)
+): MarketRates {
+  const { log } = opts
+  const cache: {
+    [pair: string]: { date: number, promise: Promise<number[]> }
+  } = {}
+
+  async function fetchCrossRate(
+    plugin: EdgeRatePlugin,
+    fromCurrencyCode: string,
+    toCurrencyCode: string
+  ): Promise<number | void> {
+    try {
+      const pairs = await plugin.fetchRates([
+        { fromCurrency: fromCurrencyCode, toCurrency: 'iso:USD' },
+        { fromCurrency: toCurrencyCode, toCurrency: 'iso:USD' }
+      ])
+      const findUsd = code =>
+        pairs.find(
+          pair => pair.fromCurrency === code && pair.toCurrency === 'iso:USD'
+        )
+      const from = findUsd(fromCurrencyCode)
+      const to = findUsd(toCurrencyCode)
+      if (from == null || to == null || !(to.rate > 0)) return
+      return from.rate / to.rate
+    } catch (e) {
+      log.warn(`${plugin.rateInfo.pluginId} could not price a swap: ${e}`)
+    }
+  }
+
+  return {
+    fetchCrossRates(fromCurrencyCode, toCurrencyCode) {
+      const pair = `${fromCurrencyCode}_${toCurrencyCode}`
+      const cached = cache[pair]
+      if (cached != null && Date.now() - cached.date < RATE_CACHE_MS) {
+        return cached.promise
+      }
+
+      const promise = Promise.all(
+        ratePlugins.map(plugin =>
+          fetchCrossRate(plugin, fromCurrencyCode, toCurrencyCode)
+        )
+      ).then(rates => {
+        const out: number[] = []
+        for (const rate of rates) if (rate != null) out.push(rate)
+        return out
+      })
+      cache[pair] = { date: Date.now(), promise }
+      return promise
+    }
+  }
+}
+
+function makeRatePlugins(opts: EdgeCorePluginOptions): EdgeRatePlugin[] {
+  const { nomicsApiKey } = opts.initOptions
+  const out = [
+    makeCoinGeckoPlugin({ ...opts, initOptions: {} }),
+    makeCoincapPlugin({ ...opts, initOptions: {} })
+  ]
+  if (nomicsApiKey != null) {
+    out.push(
+      makeNomicsPlugin({ ...opts, initOptions: { apiKey: nomicsApiKey } })
+    )
+  }
+  return out
+}
+
+/**
+ * Compares a quote's implied rate with the median market rate,
+ * or returns nothing if no rate source knows the pair.
+ */
+export async function checkQuoteRate(
+  request: EdgeSwapRequest,
+  quote: EdgeSwapQuote,
+  crossRates: number[],
+  maxDeviation: number = DEFAULT_MAX_DEVIATION
+): Promise<SwapRateCheck | void> {
+  if (crossRates.length === 0) return
+  const sorted = [...crossRates].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  const marketRate =
+    sorted.length % 2 === 1
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2
+
+  const { fromCurrencyCode, fromWallet, toCurrencyCode, toWallet } = request
+  const fromAmount = await fromWallet.nativeToDenomination(
+    quote.fromNativeAmount,
+    fromCurrencyCode
+  )
+  const toAmount = await toWallet.nativeToDenomination(
+    quote.toNativeAmount,
+    toCurrencyCode
+  )
+  if (Number(fromAmount) <= 0) return
+  const quotedRate = Number(div(toAmount, fromAmount, 16))
+
+  const deviation = quotedRate / marketRate - 1
+  return {
+    quotedRate,
+    marketRate,
+    deviation,
+    flagged: Math.abs(deviation) > maxDeviation
+  }
+}
+
+/**
+ * Waits for the market rates, but gives up with no rates
+ * once the quote is cancelled or the rate sources take too long.
+ */
+async function waitForRates(
+  crossRates: Promise<number[]>,
+  signal: AbortSignal | void,
+  timeoutMs: number
+): Promise<number[]> {
+  let timer
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve([]), timeoutMs)
+  })
+  const abort = onAbort(signal, () => new Error('Cancelled'))
+  try {
+    return await Promise.race([
+      crossRates,
+      timeout,
+      abort.promise.catch(() => [])
+    ])
+  } finally {
+    clearTimeout(timer)
+    abort.cleanup()
+  }
+}
+
+/**
+ * Checks every quote a plugin returns against the market rate,
+ * attaching the result to the quote as `rateCheck`.
+ * Quotes that stray too far are closed & rejected,
+ * unless the `rateDeviationAction` option says to just flag them.
+ *
+ * The check is skipped, passing the quote through untouched,
+ * if no rate source prices the pair before the quote's deadline,
+ * its signal, or the `rateTimeoutMs` option runs out.
+ */
+export function makeRateCheckedSwapPlugin(
+  plugin: EdgeSwapPlugin,
+  opts: EdgeCorePluginOptions,
+  rates: MarketRates = makeMarketRates(opts)
+): EdgeSwapPlugin {
+  const { log } = opts
+  const {
+    maxRateDeviation = DEFAULT_MAX_DEVIATION,
+    rateDeviationAction = 'reject',
+    rateTimeoutMs = DEFAULT_RATE_TIMEOUT_MS
+  }: SwapRateCheckOptions = opts.initOptions
+  const { pluginId } = plugin.swapInfo
+
+  const out: EdgeSwapPlugin = {
+    ...plugin,
+
+    async fetchSwapQuote(
+      request: EdgeSwapRequest,
+      userSettings: Object | void,
+      opts: { promoCode?: string } = {}
+    ): Promise<EdgeSwapQuote> {
+      // Price the pair while the provider works on its quote:
+      const crossRates = rates.fetchCrossRates(
+        request.fromCurrencyCode,
+        request.toCurrencyCode
+      )
+      const quote = await plugin.fetchSwapQuote(request, userSettings, opts)
+
+      // The cancellable wrapper folds the deadline into this signal:
+      const { signal } = getQuoteFetchOptions(opts)
+      const rateCheck = await checkQuoteRate(
+        request,
+        quote,
+        await waitForRates(crossRates, signal, rateTimeoutMs),
+        maxRateDeviation
+      )
+      if (rateCheck == null) return quote
+
+      if (rateCheck.flagged) {
+        const error = new SwapRateDeviationError(pluginId, rateCheck)
+        if (rateDeviationAction === 'reject') {
+          await quote
+            .close()
+            .catch(e => log.warn(`${pluginId}: Could not close quote: ${e}`))
+          throw error
+        }
+        log.warn(error.message)
+      }
+      return { ...quote, rateCheck }
+    }
+  }
+
+  return makeCancellableSwapPlugin(out)
+}
+
+/**
+ * Wraps a swap plugin factory so its quotes get checked.
+ */
+export function withRateCheck(factory: SwapPluginFactory): SwapPluginFactory {
+  return opts => makeRateCheckedSwapPlugin(factory(opts), opts)
+}
@@ -0,0 +1,150 @@
+// @flow
+
+import { type EdgeLog } from 'edge-core-js/types'
+
+/**
+ * Where a swap order stands, in terms every swap provider can map onto.
+ */
+export type SwapOrderStatusType =
+  | 'waiting' // No deposit has arrived yet
+  | 'pending' // The deposit is confirming or being exchanged
+  | 'settling' // The payout is on its way
+  | 'settled' // The payout has been sent
+  | 'refunding'
+  | 'refunded'
+  | 'expired' // No deposit arrived in time
+  | 'failed' // The provider gave up, so the user needs support
+
+export type SwapOrderStatus = {
+  orderId: string,
+  status: SwapOrderStatusType,
+  expirationDate?: Date
+}
+
+export type SwapOrderStatusPlugin = {
+  +fetchOrderStatus?: (orderId: string) => Promise<SwapOrderStatus>
+}
+
+// A swap saved with a transaction, as found in its `swapData`:
+export type SavedSwap = {
+  pluginId: string,
+  orderId: string
+}
+
+export type SwapOrderPoller = {
+  watch(swap: SavedSwap): void,
+  unwatch(swap: SavedSwap): void,
+  stop(): void
+}
+
+const FINAL_STATUSES: { [status: SwapOrderStatusType]: true } = {
+  settled: true,
+  refunded: true,
+  expired: true,
+  failed: true
+}
+
+const DEFAULT_POLL_INTERVAL_MS = 1000 * 60
+
+export function isFinalOrderStatus(status: SwapOrderStatusType): boolean {
+  return FINAL_STATUSES[status] === true
+}
+
+/**
+ * Maps a provider's own status name onto the shared model.
+ * Anything unrecognized counts as still in progress.
+ */
+export function normalizeOrderStatus(
+  statuses: { [providerStatus: string]: SwapOrderStatusType },
+  providerStatus: string
+): SwapOrderStatusType {
+  return statuses[providerStatus] ?? 'pending'
+}
+
+/**
+ * Checks saved swaps with their providers one at a time,
+ * reporting each status change until the order reaches a final state.
+ */
+export function makeSwapOrderPoller(
+  plugins: { [pluginId: string]: SwapOrderStatusPlugin },
+  onChange: (swap: SavedSwap, status: SwapOrderStatus) => mixed,
+  opts: { intervalMs?: number, log?: EdgeLog } = {}
+): SwapOrderPoller {
+  const { intervalMs = DEFAULT_POLL_INTERVAL_MS, log } = opts
+  const watched: {
+    [key: string]: { swap: SavedSwap, status?: SwapOrderStatusType }
+  } = {}
+  let timer: TimeoutID | void
+  let polling = false
+
+  function getKey(swap: SavedSwap): string {
+    return `${swap.pluginId}:${swap.orderId}`
+  }
+
+  function schedule(): void {
+    if (timer != null || polling || Object.keys(watched).length === 0) return
+    timer = setTimeout(() => {
+      timer = undefined
+      polling = true
+      poll()
+        .catch(e => {
+          if (log != null) log.warn(`Swap order polling failed: ${e}`)
+        })
+        .then(() => {
+          polling = false
+          schedule()
+        })
+    }, intervalMs)
+  }
+
+  async function poll(): Promise<void> {
+    for (const key of Object.keys(watched)) {
+      const entry = watched[key]
+      if (entry == null) continue // Unwatched while we were busy
+      const { swap } = entry
+      const plugin = plugins[swap.pluginId]
+      const fetchOrderStatus =
+        plugin != null ? plugin.fetchOrderStatus : undefined
+
+      if (fetchOrderStatus == null) {
+        if (log != null) log.warn(`${swap.pluginId} cannot report order status`)
+        delete watched[key]
+        continue
+      }
+
+      let status: SwapOrderStatus
+      try {
+        status = await fetchOrderStatus(swap.orderId)
+      } catch (e) {
+        // Try again next time around:
+        if (log != null) log.warn(`Could not check ${key}: ${e}`)
+        continue
+      }
+
+      if (watched[key] !== entry) continue
+      if (status.status !== entry.status) {
+        entry.status = status.status
+        onChange(swap, status)
+      }
+      if (isFinalOrderStatus(status.status)) delete watched[key]
+    }
+  }
+
+  return {
+    watch(swap: SavedSwap): void {
+      const key = getKey(swap)
+      if (watched[key] == null) watched[key] = { swap }
+      schedule()
+    },
+
+    unwatch(swap: SavedSwap): void {
+      delete watched[getKey(swap)]
+    },
+
+    stop(): void {
+      for (const key of Object.keys(watched)) delete watched[key]
+      if (timer != null) clearTimeout(timer)
+      timer = undefined
+    }
+  }
+}
@@ -0,0 +1,270 @@
+// @flow
+
+import { gt, lt } from 'biggystring'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeSwapInfo,
+  type EdgeSwapPlugin,
+  type EdgeSwapQuote,
+  type EdgeSwapRequest
+} from 'edge-core-js/types'
+
+import {
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin
+} from '../swap-helpers.js'
+import {
+  type SwapHistoryFilter,
+  type SwapHistoryPlugin,
+  type SwapOrderRecord
+} from '../swap-history.js'
+import {
+  makeMarketRates,
+  makeRateCheckedSwapPlugin
+} from '../swap-rate-check.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusPlugin
+} from '../swap-status.js'
+
+const pluginId = 'bestRate'
+const swapInfo: EdgeSwapInfo = {
+  pluginId,
+  displayName: 'Best Rate',
+  supportEmail: 'support@edge.app'
+}
+
+const DEFAULT_TIMEOUT_MS = 1000 * 20
+
+type SwapPluginFactory = (opts: EdgeCorePluginOptions) => EdgeSwapPlugin
+type PluginDisklet = $PropertyType<EdgeCorePluginOptions, 'pluginDisklet'>
+
+type UnderlyingPlugin = EdgeSwapPlugin &
+  SwapHistoryPlugin &
+  SwapOrderStatusPlugin
+
+type QuoteResult = {
+  pluginId: string,
+  quote?: EdgeSwapQuote,
+  error?: mixed
+}
+
+/**
+ * Asks every configured swap plugin for a quote at once,
+ * and keeps only the one that gives the user the most.
+ *
+ * The `initOptions.plugins` table enables underlying plugins,
+ * each with its own init options. The swap `userSettings`
+ * are likewise keyed by underlying plugin id.
+ *
+ * Every underlying quote gets checked against the market rate,
+ * using the rate check options from the top-level `initOptions`.
+ */
+export function makeBestRatePlugin(factories: {
+  [pluginId: string]: SwapPluginFactory
+}) {
+  return function makeBestRateSwapPlugin(
+    opts: EdgeCorePluginOptions
+  ): EdgeSwapPlugin {
+    const { initOptions, log } = opts
+    const {
+      plugins: pluginOptions = {},
+      timeoutMs = DEFAULT_TIMEOUT_MS,
+      preferFixed = false
+    } = initOptions
+
+    const rates = makeMarketRates(opts)
+    const plugins: { [pluginId: string]: UnderlyingPlugin } = {}
+    for (const id of Object.keys(pluginOptions)) {
+      const factory = factories[id]
+      if (factory == null) {
+        log.warn(`bestRate: Unknown swap plugin ${id}`)
+        continue
+      }
+      const plugin = factory({
+        ...opts,
+        // Plugins may be enabled with a bare `true`:
+        initOptions:
+          typeof pluginOptions[id] === 'object' ? pluginOptions[id] : {},
+        pluginDisklet: scopeDisklet(opts.pluginDisklet, id)
+      })
+      // Also enforces the deadline, even if the plugin doesn't:
+      plugins[id] = (makeRateCheckedSwapPlugin(plugin, opts, rates): any)
+    }
+
+    async function fetchQuote(
+      id: string,
+      request: EdgeSwapRequest,
+      userSettings: Object | void,
+      opts: { promoCode?: string }
+    ): Promise<QuoteResult> {
+      // Each plugin gets its own deadline, within the caller's:
+      const { deadline } = getQuoteFetchOptions(opts)
+      const pluginDeadline = new Date(Date.now() + timeoutMs)
+
+      try {
+        const quote = await plugins[id].fetchSwapQuote(
+          request,
+          userSettings != null ? userSettings[id] : undefined,
+          {
+            ...opts,
+            deadline:
+              deadline != null && deadline < pluginDeadline
+                ? deadline
+                : pluginDeadline
+          }
+        )
+        return { pluginId: id, quote }
+      } catch (error) {
+        return { pluginId: id, error }
+      }
+    }
+
+    // Each underlying plugin keeps its own history, so merge them:
+    async function listSwaps(
+      filter?: SwapHistoryFilter
+    ): Promise<SwapOrderRecord[]> {
+      const lists = await Promise.all(
+        Object.keys(plugins).map(id => {
+          const { swapHistory } = plugins[id]
+          return swapHistory != null ? swapHistory.list(filter) : []
+        })
+      )
+      const records: SwapOrderRecord[] = []
+      for (const list of lists) records.push(...list)
+      return records.sort(
+        (a, b) => b.createdDate.valueOf() - a.createdDate.valueOf()
+      )
+    }
+
+    const out: EdgeSwapPlugin & SwapHistoryPlugin = {
+      swapInfo,
+
+      swapHistory: {
+        list: listSwaps,
+        async exportRecords(filter?: SwapHistoryFilter): Promise<string> {
+          return JSON.stringify(await listSwaps(filter), null, 2)
+        }
+      },
+
+      // Asks whichever plugin sent the swap, updating its history:
+      async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+        for (const id of Object.keys(plugins)) {
+          const { fetchOrderStatus, swapHistory } = plugins[id]
+          if (fetchOrderStatus == null || swapHistory == null) continue
+          const records = await swapHistory.list()
+          if (records.some(record => record.orderId === orderId)) {
+            return fetchOrderStatus(orderId)
+          }
+        }
+        throw new Error(`bestRate: No swap with order ${orderId}`)
+      },
+
+      async fetchSwapQuote(
+        request: EdgeSwapRequest,
+        userSettings: Object | void,
+        opts: { promoCode?: string } = {}
+      ): Promise<EdgeSwapQuote> {
+        const results = await Promise.all(
+          Object.keys(plugins).map(id =>
+            fetchQuote(id, request, userSettings, opts)
+          )
+        )
+
+        const quotes: EdgeSwapQuote[] = []
+        const errors: mixed[] = []
+        for (const result of results) {
+          if (result.quote != null) quotes.push(result.quote)
+          else {
+            log(`bestRate: ${result.pluginId} failed: ${String(result.error)}`)
+            errors.push(result.error)
+          }
+        }
+        if (quotes.length === 0) throw pickBestError(errors)
+
+        // Fixed quotes always win over estimates, if so configured:
+        const fixedQuotes = quotes.filter(quote => !quote.isEstimate)
+        const candidates =
+          preferFixed && fixedQuotes.length > 0 ? fixedQuotes : quotes
+
+        let bestQuote = candidates[0]
+        for (const quote of candidates) {
+          if (isBetterQuote(request, quote, bestQuote)) bestQuote = quote
+        }
+
+        await Promise.all(
+          quotes
+            .filter(quote => quote !== bestQuote)
+            .map(quote =>
+              quote
+                .close()
+                .catch(e => log.warn(`bestRate: Could not close quote: ${e}`))
+            )
+        )
+        return bestQuote
+      }
+    }
+
+    return makeCancellableSwapPlugin(out)
+  }
+}
+
+function isBetterQuote(
+  request: EdgeSwapRequest,
+  quote: EdgeSwapQuote,
+  bestQuote: EdgeSwapQuote
+): boolean {
+  return request.quoteFor === 'to'
+    ? lt(quote.fromNativeAmount, bestQuote.fromNativeAmount)
+    : gt(quote.toNativeAmount, bestQuote.toNativeAmount)
+}
+
+/**
+ * Picks the error that tells the user the most,
+ * ranking them the same way the core does.
+ */
+function pickBestError(errors: mixed[]): mixed {
+  let bestError = new Error('No swap plugins are enabled')
+  let bestRank = -1
+  for (const error of errors) {
+    const rank = rankError(error)
+    if (rank > bestRank) {
+      bestError = error
+      bestRank = rank
+    }
+  }
+  return bestError
+}
+
+function rankError(error: mixed): number {
+  const name = error instanceof Error ? error.name : undefined
+  if (name === 'SwapBelowLimitError') return 4
+  if (name === 'SwapAboveLimitError') return 3
+  if (name === 'SwapPermissionError') return 2
+  if (name === 'SwapCurrencyError') return 1
+  return 0
+}
+
+/**
+ * Gives each underlying plugin its own folder,
+ * so their files cannot collide.
+ */
+function scopeDisklet(disklet: PluginDisklet, folder: string): PluginDisklet {
+  const scope = (path: string = '') => `${folder}/${path}`
+
+  return {
+    delete: path => disklet.delete(scope(path)),
+    getData: path => disklet.getData(scope(path)),
+    getText: path => disklet.getText(scope(path)),
+    async list(path) {
+      const listing = await disklet.list(scope(path))
+      const out: Object = {}
+      for (const key of Object.keys(listing)) {
+        out[key.slice(folder.length + 1)] = listing[key]
+      }
+      return out
+    },
+    setData: (path, data) => disklet.setData(scope(path), data),
+    setText: (path, text) => disklet.setText(scope(path), text)
+  }
+}
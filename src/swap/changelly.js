@@ -1,6 +1,6 @@
 // @flow
 
-import { lt, mul } from 'biggystring'
+import { mul } from 'biggystring'
 import { asObject, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
@@ -11,23 +11,28 @@ import {
   type EdgeSwapQuote,
   type EdgeSwapRequest,
   type EdgeTransaction,
-  SwapBelowLimitError,
   SwapCurrencyError
 } from 'edge-core-js/types'
 import hashjs from 'hash.js'
 import { base16 } from 'rfc4648'
 import utf8Codec from 'utf8'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
-
-const INVALID_CURRENCY_CODES = {}
-
-// Invalid currency codes should *not* have transcribed codes
-// because currency codes with transcribed versions are NOT invalid
-const CURRENCY_CODE_TRANSCRIPTION = {
-  // Edge currencyCode: exchangeCurrencyCode
-  USDT: 'USDT20'
-}
+import { makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  type SwapQuoteFetchOptions,
+  checkSwapLimits,
+  fetchFixedOrEstimate,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
 
 function hmacSha512(data: Uint8Array, key: Uint8Array): Uint8Array {
   const hmac = hashjs.hmac(hashjs.sha512, key)
@@ -53,6 +58,20 @@ const swapInfo: EdgeSwapInfo = {
   supportEmail: 'support@changelly.com'
 }
 
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // Changelly status: normalized order status
+  waiting: 'waiting',
+  confirming: 'pending',
+  exchanging: 'pending',
+  hold: 'pending',
+  sending: 'settling',
+  finished: 'settled',
+  failed: 'failed',
+  refunded: 'refunded',
+  overdue: 'expired',
+  expired: 'expired'
+}
+
 const orderUri = 'https://changelly.com/transaction/'
 const uri = 'https://api.changelly.com'
 const expirationMs = 1000 * 60 * 20
@@ -100,6 +119,10 @@ const asFixedRateQuote = asObject({
 
 type FixedRateQuote = $Call<typeof asFixedRateQuote>
 
+const asStatusReply = asObject({
+  result: asString
+})
+
 const dontUseLegacy = {
   DGB: true
 }
@@ -134,32 +157,32 @@ export function makeChangellyPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
-  const { fetchCors = io.fetch } = io
+  const history = makeSwapHistory(opts)
 
   if (initOptions.apiKey == null || initOptions.secret == null) {
     throw new Error('No Changelly apiKey or secret provided.')
   }
   const { apiKey } = initOptions
   const secret = parseUtf8(initOptions.secret)
+  const http = makeHttpClient(io, {
+    log,
+    secrets: [apiKey, initOptions.secret]
+  })
 
-  async function call(json: any, promoCode?: string) {
+  async function call(json: any, opts: SwapQuoteFetchOptions = {}) {
+    const { promoCode, signal } = opts
+    // The client serializes the body the same way, so the signature matches:
     const body = JSON.stringify(json)
     const sign = base16
       .stringify(hmacSha512(parseUtf8(body), secret))
       .toLowerCase()
 
     const headers: { [header: string]: string } = {
-      'Content-Type': 'application/json',
       'api-key': apiKey,
       sign
     }
     if (promoCode != null) headers['X-Promo-Code'] = promoCode
-    const response = await fetchCors(uri, { method: 'POST', body, headers })
-
-    if (!response.ok) {
-      throw new Error(`Changelly returned error code ${response.status}`)
-    }
-    return response.json()
+    return http.post(uri, json, { headers, signal })
   }
 
   const out: EdgeSwapPlugin = {
@@ -169,26 +192,13 @@ export function makeChangellyPlugin(
       userSettings: Object | void,
       opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
-      if (
-        // if either currencyCode is invalid *and* doesn't have a transcription
-        INVALID_CURRENCY_CODES[request.fromCurrencyCode] ||
-        INVALID_CURRENCY_CODES[request.toCurrencyCode]
-      ) {
-        throw new SwapCurrencyError(
-          swapInfo,
-          request.fromCurrencyCode,
-          request.toCurrencyCode
-        )
-      }
-      const fixedPromise = this.getFixedQuote(request, userSettings, opts)
-      const estimatePromise = this.getEstimate(request, userSettings, opts)
-      try {
-        const fixedResult = await fixedPromise
-        return fixedResult
-      } catch (e) {
-        const estimateResult = await estimatePromise
-        return estimateResult
-      }
+      getProviderCurrencies(swapInfo, request)
+      return fetchFixedOrEstimate(
+        getQuoteFetchOptions(opts).signal,
+        signal =>
+          this.getFixedQuote(request, userSettings, { ...opts, signal }),
+        signal => this.getEstimate(request, userSettings, { ...opts, signal })
+      )
     },
 
     async getFixedQuote(
@@ -196,7 +206,7 @@ export function makeChangellyPlugin(
       userSettings: Object | void,
       opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
-      const { promoCode } = opts
+      const { promoCode, signal } = getQuoteFetchOptions(opts)
       const [fromAddress, toAddress] = await Promise.all([
         getAddress(request.fromWallet, request.fromCurrencyCode),
         getAddress(request.toWallet, request.toCurrencyCode)
@@ -212,25 +222,22 @@ export function makeChangellyPlugin(
               request.toCurrencyCode
             )
 
-      let safeFromCurrencyCode = request.fromCurrencyCode
-      let safeToCurrencyCode = request.toCurrencyCode
-      if (CURRENCY_CODE_TRANSCRIPTION[request.fromCurrencyCode]) {
-        safeFromCurrencyCode =
-          CURRENCY_CODE_TRANSCRIPTION[request.fromCurrencyCode]
-      }
-      if (CURRENCY_CODE_TRANSCRIPTION[request.toCurrencyCode]) {
-        safeToCurrencyCode = CURRENCY_CODE_TRANSCRIPTION[request.toCurrencyCode]
-      }
-      const fixedRateQuoteResponse: FixedRateQuote = await call({
-        jsonrpc: '2.0',
-        id: 'one',
-        method: 'getFixRateForAmount',
-        params: {
-          from: safeFromCurrencyCode,
-          to: safeToCurrencyCode,
-          amountFrom: quoteAmount
-        }
-      })
+      const { from, to } = getProviderCurrencies(swapInfo, request)
+      const safeFromCurrencyCode = from.currencyCode
+      const safeToCurrencyCode = to.currencyCode
+      const fixedRateQuoteResponse: FixedRateQuote = await call(
+        {
+          jsonrpc: '2.0',
+          id: 'one',
+          method: 'getFixRateForAmount',
+          params: {
+            from: safeFromCurrencyCode,
+            to: safeToCurrencyCode,
+            amountFrom: quoteAmount
+          }
+        },
+        { signal }
+      )
       const fixedRateQuote = asFixedRateQuote(fixedRateQuoteResponse)
       const params =
         request.quoteFor === 'from'
@@ -262,7 +269,7 @@ export function makeChangellyPlugin(
           method: 'createFixTransaction',
           params
         },
-        promoCode
+        { promoCode, signal }
       )
       checkReply(sendReply, request)
       const quoteInfo: FixedQuoteInfo = sendReply.result
@@ -277,7 +284,7 @@ export function makeChangellyPlugin(
         sendReply.result.amountExpectedFrom,
         request.fromCurrencyCode
       )
-      const amountExpectedToTo = await request.fromWallet.denominationToNative(
+      const amountExpectedToTo = await request.toWallet.denominationToNative(
         sendReply.result.amountExpectedTo,
         request.toCurrencyCode
       )
@@ -298,6 +305,8 @@ export function makeChangellyPlugin(
         swapData: {
           orderId: quoteInfo.id,
           orderUri: orderUri + quoteInfo.id,
+          depositAddress: quoteInfo.payinAddress,
+          depositNativeAmount: spendInfoAmount,
           isEstimate: false,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -318,7 +327,8 @@ export function makeChangellyPlugin(
         'changelly',
         false,
         new Date(Date.now() + expirationFixedMs),
-        quoteInfo.id
+        quoteInfo.id,
+        { history, log }
       )
     },
 
@@ -327,7 +337,7 @@ export function makeChangellyPlugin(
       userSettings: Object | void,
       opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
-      const { promoCode } = opts
+      const { promoCode, signal } = getQuoteFetchOptions(opts)
       // Grab addresses:
       const [fromAddress, toAddress] = await Promise.all([
         getAddress(request.fromWallet, request.fromCurrencyCode),
@@ -346,15 +356,9 @@ export function makeChangellyPlugin(
               request.toCurrencyCode
             )
 
-      let safeFromCurrencyCode = request.fromCurrencyCode
-      let safeToCurrencyCode = request.toCurrencyCode
-      if (CURRENCY_CODE_TRANSCRIPTION[request.fromCurrencyCode]) {
-        safeFromCurrencyCode =
-          CURRENCY_CODE_TRANSCRIPTION[request.fromCurrencyCode]
-      }
-      if (CURRENCY_CODE_TRANSCRIPTION[request.toCurrencyCode]) {
-        safeToCurrencyCode = CURRENCY_CODE_TRANSCRIPTION[request.toCurrencyCode]
-      }
+      const { from, to } = getProviderCurrencies(swapInfo, request)
+      const safeFromCurrencyCode = from.currencyCode
+      const safeToCurrencyCode = to.currencyCode
       // Swap the currencies if we need a reverse quote:
       const quoteParams =
         request.quoteFor === 'from'
@@ -371,33 +375,26 @@ export function makeChangellyPlugin(
 
       // Get the estimate from the server:
       const quoteReplies = await Promise.all([
-        call({
-          jsonrpc: '2.0',
-          id: 'one',
-          method: 'getMinAmount',
-          params: {
-            from: safeFromCurrencyCode,
-            to: safeToCurrencyCode
-          }
-        }),
-        call({
-          jsonrpc: '2.0',
-          id: 'two',
-          method: 'getExchangeAmount',
-          params: quoteParams
-        })
+        call(
+          {
+            jsonrpc: '2.0',
+            id: 'one',
+            method: 'getPairsParams',
+            params: [{ from: safeFromCurrencyCode, to: safeToCurrencyCode }]
+          },
+          { signal }
+        ),
+        call(
+          {
+            jsonrpc: '2.0',
+            id: 'two',
+            method: 'getExchangeAmount',
+            params: quoteParams
+          },
+          { signal }
+        )
       ])
       checkReply(quoteReplies[0], request)
-
-      // Check the minimum:
-      const nativeMin = await request.fromWallet.denominationToNative(
-        quoteReplies[0].result,
-        request.fromCurrencyCode
-      )
-      if (lt(request.nativeAmount, nativeMin)) {
-        throw new SwapBelowLimitError(swapInfo, nativeMin)
-      }
-
       checkReply(quoteReplies[1], request)
 
       // Calculate the amounts:
@@ -418,6 +415,15 @@ export function makeChangellyPlugin(
         toNativeAmount = request.nativeAmount
       }
 
+      // Check the floating-rate limits:
+      const [pairParams = {}] = quoteReplies[0].result
+      await checkSwapLimits(swapInfo, request, {
+        min: pairParams.minAmountFloat,
+        max: pairParams.maxAmountFloat,
+        fromNativeAmount,
+        toNativeAmount
+      })
+
       // Get the address:
       const sendReply = await call(
         {
@@ -434,7 +440,7 @@ export function makeChangellyPlugin(
             refundExtraId: null
           }
         },
-        promoCode
+        { promoCode, signal }
       )
       checkReply(sendReply, request)
       const quoteInfo: QuoteInfo = sendReply.result
@@ -451,6 +457,8 @@ export function makeChangellyPlugin(
         swapData: {
           orderId: quoteInfo.id,
           orderUri: orderUri + quoteInfo.id,
+          depositAddress: quoteInfo.payinAddress,
+          depositNativeAmount: fromNativeAmount,
           isEstimate: true,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -472,10 +480,25 @@ export function makeChangellyPlugin(
         'changelly',
         true,
         new Date(Date.now() + expirationMs),
-        quoteInfo.id
+        quoteInfo.id,
+        { history, log }
       )
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const reply = await call({
+        jsonrpc: '2.0',
+        id: 'status',
+        method: 'getStatus',
+        params: { id: orderId }
+      })
+      if (reply.error != null) {
+        throw new Error('Changelly error: ' + JSON.stringify(reply.error))
+      }
+      const { result } = asStatusReply(reply)
+      return { orderId, status: normalizeOrderStatus(ORDER_STATUSES, result) }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
@@ -1,6 +1,6 @@
 // @flow
 
-import { lt, mul } from 'biggystring'
+import { mul } from 'biggystring'
 import {
   type Cleaner,
   asArray,
@@ -23,7 +23,20 @@ import {
   SwapCurrencyError
 } from 'edge-core-js/types'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
+import { getRejectionBody, makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
 
 const pluginId = 'changenow'
 const swapInfo: EdgeSwapInfo = {
@@ -32,6 +45,20 @@ const swapInfo: EdgeSwapInfo = {
   supportEmail: 'support@changenow.io'
 }
 
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // ChangeNow status: normalized order status
+  new: 'waiting',
+  waiting: 'waiting',
+  confirming: 'pending',
+  exchanging: 'pending',
+  verifying: 'pending',
+  sending: 'settling',
+  finished: 'settled',
+  failed: 'failed',
+  refunded: 'refunded',
+  expired: 'expired'
+}
+
 const orderUri = 'https://changenow.io/exchange/txs/'
 const uri = 'https://changenow.io/api/v1/'
 
@@ -39,20 +66,6 @@ const dontUseLegacy = {
   DGB: true
 }
 
-const CURRENCY_CODE_TRANSCRIPTION = {
-  USDT: 'USDTERC20'
-}
-
-// Invalid currency codes should *not* have transcribed codes
-// because currency codes with transcribed versions are NOT invalid
-const INVALID_CURRENCY_CODES = {
-  // edgeCurrenvyCode: exchangeCurrencyCode
-}
-
-const ERC20_ONLY_CURRENCY_CODES = {
-  FTM: true
-}
-
 async function getAddress(
   wallet: EdgeCurrencyWallet,
   currencyCode: string
@@ -67,30 +80,29 @@ export function makeChangeNowPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
-  const { fetch } = io
+  const history = makeSwapHistory(opts)
 
   if (initOptions.apiKey == null) {
     throw new Error('No ChangeNow apiKey provided.')
   }
   const { apiKey } = initOptions
-
-  async function get(route: string) {
-    const response = await fetch(uri + route)
-    return response.json()
+  const http = makeHttpClient(io, { log, secrets: [apiKey] })
+
+  async function get(route: string, signal?: AbortSignal) {
+    try {
+      return await http.get(uri + route, { signal })
+    } catch (e) {
+      // ChangeNow explains bad pairs & amounts in the body,
+      // which the quote code checks:
+      const body = getRejectionBody(e)
+      if (body != null) return body
+      throw e
+    }
   }
 
-  async function post(route: string, body: any) {
-    log('call fixed:', route, body)
-
-    const response = await fetch(uri + route, {
-      method: 'POST',
-      body: JSON.stringify(body),
-      headers: { 'Content-Type': 'application/json' }
-    })
-    if (!response.ok) {
-      throw new Error(`ChangeNow call returned error code ${response.status}`)
-    }
-    const out = await response.json()
+  async function post(route: string, body: any, signal?: AbortSignal) {
+    log('call fixed:', http.redact(route), body)
+    const out = await http.post(uri + route, body, { signal })
     log('fixed reply:', out)
     return out
   }
@@ -103,44 +115,12 @@ export function makeChangeNowPlugin(
       userSettings: Object | void,
       opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
-      const { promoCode } = opts
+      const { promoCode, signal } = getQuoteFetchOptions(opts)
 
-      if (
-        // if either currencyCode is invalid *and* doesn't have a transcription
-        INVALID_CURRENCY_CODES[request.fromCurrencyCode] ||
-        INVALID_CURRENCY_CODES[request.toCurrencyCode]
-      ) {
-        throw new SwapCurrencyError(
-          swapInfo,
-          request.fromCurrencyCode,
-          request.toCurrencyCode
-        )
-      }
-
-      // Throw a currency error if the user selected a mainnet token that ChangeNow only supports as an ERC20
-      if (ERC20_ONLY_CURRENCY_CODES[request.fromCurrencyCode] === true) {
-        if (
-          request.fromCurrencyCode ===
-          request.fromWallet.currencyInfo.currencyCode
-        ) {
-          throw new SwapCurrencyError(
-            swapInfo,
-            request.fromCurrencyCode,
-            request.toCurrencyCode
-          )
-        }
-      }
-      if (ERC20_ONLY_CURRENCY_CODES[request.toCurrencyCode] === true) {
-        if (
-          request.toCurrencyCode === request.toWallet.currencyInfo.currencyCode
-        ) {
-          throw new SwapCurrencyError(
-            swapInfo,
-            request.fromCurrencyCode,
-            request.toCurrencyCode
-          )
-        }
-      }
+      // transcribe currencyCodes if necessary
+      const { from, to } = getProviderCurrencies(swapInfo, request)
+      const safeFromCurrencyCode = from.currencyCode
+      const safeToCurrencyCode = to.currencyCode
 
       // Grab addresses:
       const [fromAddress, toAddress] = await Promise.all([
@@ -148,23 +128,16 @@ export function makeChangeNowPlugin(
         getAddress(request.toWallet, request.toCurrencyCode)
       ])
 
-      // transcribe currencyCodes if necessary
-      let safeFromCurrencyCode = request.fromCurrencyCode
-      let safeToCurrencyCode = request.toCurrencyCode
-      if (CURRENCY_CODE_TRANSCRIPTION[request.fromCurrencyCode]) {
-        safeFromCurrencyCode =
-          CURRENCY_CODE_TRANSCRIPTION[request.fromCurrencyCode]
-      }
-      if (CURRENCY_CODE_TRANSCRIPTION[request.toCurrencyCode]) {
-        safeToCurrencyCode = CURRENCY_CODE_TRANSCRIPTION[request.toCurrencyCode]
-      }
-
       // get the markets
-      const availablePairs = await get(`currencies-to/${safeFromCurrencyCode}`)
+      const availablePairs = await get(
+        `currencies-to/${safeFromCurrencyCode}`,
+        signal
+      )
       const fixedMarket = asFixedMarketReply(
         await get(
           `market-info/fixed-rate/${apiKey}` +
-            (promoCode != null ? `?promo=${promoCode}` : '')
+            (promoCode != null ? `?promo=${promoCode}` : ''),
+          signal
         )
       )
 
@@ -213,7 +186,8 @@ export function makeChangeNowPlugin(
                 // lets get the quoteObject here
                 const quoteReply = await get(
                   `exchange-amount/fixed-rate/${quoteParams.amount}/${quoteParams.from}_${quoteParams.to}?api_key=${apiKey}` +
-                    (promoCode != null ? `&promo=${promoCode}` : '')
+                    (promoCode != null ? `&promo=${promoCode}` : ''),
+                  signal
                 )
                 if (quoteReply.error === 'out_of_range') {
                   meetsFixedRateRange = false
@@ -244,15 +218,19 @@ export function makeChangeNowPlugin(
                 )
               }
               const sendReply = asCreateOrderReply(
-                await post(`transactions/fixed-rate/${apiKey}`, {
-                  amount: fromAmount,
-                  from: safeFromCurrencyCode,
-                  to: safeToCurrencyCode,
-                  address: toAddress,
-                  extraId: null, // TODO: Do we need this for Monero?
-                  refundAddress: fromAddress,
-                  payload: { promoCode }
-                })
+                await post(
+                  `transactions/fixed-rate/${apiKey}`,
+                  {
+                    amount: fromAmount,
+                    from: safeFromCurrencyCode,
+                    to: safeToCurrencyCode,
+                    address: toAddress,
+                    extraId: null, // TODO: Do we need this for Monero?
+                    refundAddress: fromAddress,
+                    payload: { promoCode }
+                  },
+                  signal
+                )
               )
               const toAmount = await request.toWallet.denominationToNative(
                 sendReply.amount.toString(),
@@ -274,6 +252,8 @@ export function makeChangeNowPlugin(
                 swapData: {
                   orderId: sendReply.id,
                   orderUri: orderUri + sendReply.id,
+                  depositAddress: sendReply.payinAddress,
+                  depositNativeAmount: fromNativeAmount,
                   isEstimate: false,
                   payoutAddress: toAddress,
                   payoutCurrencyCode: request.toCurrencyCode,
@@ -296,7 +276,8 @@ export function makeChangeNowPlugin(
                 pluginId,
                 false,
                 sendReply.validUntil,
-                sendReply.id
+                sendReply.id,
+                { history, log }
               )
             }
           }
@@ -310,28 +291,35 @@ export function makeChangeNowPlugin(
         )
       }
 
-      const min = await get(`min-amount/${quoteParams.from}_${quoteParams.to}`)
-      if (min.minAmount == null) {
+      // The range is always for the real pair, even for reverse quotes:
+      const range = await get(
+        `exchange-range/${safeFromCurrencyCode.toLowerCase()}_${safeToCurrencyCode.toLowerCase()}`,
+        signal
+      )
+      if (range.minAmount == null) {
         throw new SwapCurrencyError(
           swapInfo,
           request.fromCurrencyCode,
           request.toCurrencyCode
         )
       }
-      const [nativeMin] = await Promise.all([
-        request.fromWallet.denominationToNative(
-          min.minAmount.toString(),
-          request.fromCurrencyCode
-        )
-      ])
+      // Pairs without a maximum have a null `maxAmount`:
+      const limits = { min: range.minAmount.toString(), max: range.maxAmount }
 
       const quoteReply = await get(
-        `exchange-amount/${quoteParams.amount}/${quoteParams.from}_${quoteParams.to}`
+        `exchange-amount/${quoteParams.amount}/${quoteParams.from}_${quoteParams.to}`,
+        signal
       )
       if (quoteReply.error) {
         log('reply error ', quoteReply.error)
         if (quoteReply.error === 'deposit_too_small') {
-          throw new SwapBelowLimitError(swapInfo, nativeMin)
+          throw new SwapBelowLimitError(
+            swapInfo,
+            await request.fromWallet.denominationToNative(
+              limits.min,
+              request.fromCurrencyCode
+            )
+          )
         }
       }
       log('got reply  ', quoteReply)
@@ -347,20 +335,22 @@ export function makeChangeNowPlugin(
       }
       log('estQuery quoteReply  ', quoteReply)
 
-      if (lt(fromNativeAmount, nativeMin)) {
-        throw new SwapBelowLimitError(swapInfo, nativeMin)
-      }
+      await checkSwapLimits(swapInfo, request, { ...limits, fromNativeAmount })
 
       const sendReply = asCreateOrderReply(
-        await post(`transactions/${apiKey}`, {
-          amount: fromAmount,
-          from: safeFromCurrencyCode.toLowerCase(),
-          to: safeToCurrencyCode.toLowerCase(),
-          address: toAddress,
-          extraId: null, // TODO: Do we need this for Monero?
-          refundAddress: fromAddress,
-          payload: { promoCode }
-        })
+        await post(
+          `transactions/${apiKey}`,
+          {
+            amount: fromAmount,
+            from: safeFromCurrencyCode.toLowerCase(),
+            to: safeToCurrencyCode.toLowerCase(),
+            address: toAddress,
+            extraId: null, // TODO: Do we need this for Monero?
+            refundAddress: fromAddress,
+            payload: { promoCode }
+          },
+          signal
+        )
       )
       const toAmount = await request.toWallet.denominationToNative(
         sendReply.amount.toString(),
@@ -384,6 +374,8 @@ export function makeChangeNowPlugin(
         swapData: {
           orderId: sendReply.id,
           orderUri: orderUri + sendReply.id,
+          depositAddress: sendReply.payinAddress,
+          depositNativeAmount: fromNativeAmount,
           isEstimate: true,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -405,12 +397,23 @@ export function makeChangeNowPlugin(
         pluginId,
         true,
         new Date(Date.now() + 1000 * 60 * 20),
-        sendReply.id
+        sendReply.id,
+        { history, log }
+      )
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const reply = asStatusReply(
+        await get(`transactions/${encodeURIComponent(orderId)}/${apiKey}`)
       )
+      return {
+        orderId,
+        status: normalizeOrderStatus(ORDER_STATUSES, reply.status)
+      }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
 
 /**
@@ -436,6 +439,10 @@ const asFixedMarketReply = asArray(
   })
 )
 
+const asStatusReply = asObject({
+  status: asString
+})
+
 const asCreateOrderReply = asObject({
   amount: asNumber,
   fromCurrency: asString,
@@ -1,6 +1,6 @@
 // @flow
 
-import { add, div, gt, lt, mul, sub } from 'biggystring'
+import { add, div, mul, sub } from 'biggystring'
 import {
   type EdgeCorePluginOptions,
   type EdgeCurrencyWallet,
@@ -10,12 +10,24 @@ import {
   type EdgeSwapQuote,
   type EdgeSwapRequest,
   type EdgeTransaction,
-  SwapAboveLimitError,
-  SwapBelowLimitError,
   SwapCurrencyError
 } from 'edge-core-js/types'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
+import { makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  fetchFixedOrEstimate,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
 
 const pluginId = 'coinswitch'
 
@@ -25,6 +37,18 @@ const swapInfo: EdgeSwapInfo = {
   supportEmail: 'support@coinswitch.co'
 }
 
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // CoinSwitch status: normalized order status
+  no_deposit: 'waiting',
+  confirming: 'pending',
+  exchanging: 'pending',
+  sending: 'settling',
+  complete: 'settled',
+  refunded: 'refunded',
+  failed: 'failed',
+  timeout: 'expired'
+}
+
 const orderUri = 'https://coinswitch.co/app/exchange/transaction/'
 const uri = 'https://api.coinswitch.co/'
 const expirationMs = 1000 * 60 * 15
@@ -71,52 +95,50 @@ export function makeCoinSwitchPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
-  const { fetchCors = io.fetch } = io
+  const history = makeSwapHistory(opts)
 
   if (initOptions.apiKey == null) {
     throw new Error('No coinswitch apiKey provided.')
   }
   const { apiKey } = initOptions
+  const http = makeHttpClient(io, {
+    headers: { 'x-api-key': apiKey },
+    log,
+    secrets: [apiKey]
+  })
 
-  async function call(json: any) {
-    const body = JSON.stringify(json.params)
+  async function call(json: any, signal?: AbortSignal) {
     log('call:', json)
-    const headers = {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey
-    }
-    const api = uri + json.route
-    const response = await fetchCors(api, { method: 'POST', body, headers })
-    if (!response.ok) {
-      throw new Error(`CoinSwitch returned error code ${response.status}`)
-    }
-    const out = await response.json()
+    const out = await http.post(uri + json.route, json.params, { signal })
     log('reply:', out)
     return out
   }
 
+  function get(route: string) {
+    return http.get(uri + route)
+  }
+
   const out: EdgeSwapPlugin = {
     swapInfo,
 
     async fetchSwapQuote(
       request: EdgeSwapRequest,
-      userSettings: Object | void
+      userSettings: Object | void,
+      opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
-      const fixedPromise = this.getFixedQuote(request, userSettings)
-      const estimatePromise = this.getEstimate(request, userSettings)
       // try fixed and if error then get estimate
-      try {
-        const fixedResult = await fixedPromise
-        return fixedResult
-      } catch (e) {
-        const estimateResult = await estimatePromise
-        return estimateResult
-      }
+      return fetchFixedOrEstimate(
+        getQuoteFetchOptions(opts).signal,
+        signal => this.getFixedQuote(request, userSettings, signal),
+        signal => this.getEstimate(request, userSettings, signal)
+      )
     },
     async getFixedQuote(
       request: EdgeSwapRequest,
-      userSettings: Object | void
+      userSettings: Object | void,
+      signal?: AbortSignal
     ): Promise<EdgeSwapQuote> {
+      const { from, to } = getProviderCurrencies(swapInfo, request)
       const [fromAddress, toAddress] = await Promise.all([
         getAddress(request.fromWallet, request.fromCurrencyCode),
         getAddress(request.toWallet, request.toCurrencyCode)
@@ -135,28 +157,34 @@ export function makeCoinSwitchPlugin(
       const quoteParams =
         request.quoteFor === 'from'
           ? {
-              depositCoin: request.fromCurrencyCode.toLowerCase(),
-              destinationCoin: request.toCurrencyCode.toLowerCase(),
+              depositCoin: from.currencyCode.toLowerCase(),
+              destinationCoin: to.currencyCode.toLowerCase(),
               depositCoinAmount: quoteAmount
             }
           : {
-              depositCoin: request.fromCurrencyCode.toLowerCase(),
-              destinationCoin: request.toCurrencyCode.toLowerCase(),
+              depositCoin: from.currencyCode.toLowerCase(),
+              destinationCoin: to.currencyCode.toLowerCase(),
               destinationCoinAmount: quoteAmount
             }
 
       const quoteReplies = await Promise.all([
-        call({
-          route: 'v2/fixed/offer',
-          params: quoteParams
-        }),
-        call({
-          route: 'v2/fixed/pairs',
-          params: {
-            depositCoin: quoteParams.depositCoin,
-            destinationCoin: quoteParams.destinationCoin
-          }
-        })
+        call(
+          {
+            route: 'v2/fixed/offer',
+            params: quoteParams
+          },
+          signal
+        ),
+        call(
+          {
+            route: 'v2/fixed/pairs',
+            params: {
+              depositCoin: quoteParams.depositCoin,
+              destinationCoin: quoteParams.destinationCoin
+            }
+          },
+          signal
+        )
       ])
 
       checkReply(quoteReplies[0], request)
@@ -168,13 +196,13 @@ export function makeCoinSwitchPlugin(
       if (request.quoteFor === 'from') {
         fromAmount = quoteAmount
         fromNativeAmount = request.nativeAmount
-        const exchangeAmount = quoteReplies[0].data.destinationCoinAmount
+        const exchangeAmount = quoteReplies[0].data.destinationCoinAmount.toString()
         toNativeAmount = await request.toWallet.denominationToNative(
           exchangeAmount,
           request.toCurrencyCode
         )
       } else {
-        fromAmount = quoteReplies[0].data.depositCoinAmount
+        fromAmount = quoteReplies[0].data.depositCoinAmount.toString()
         fromNativeAmount = await request.fromWallet.denominationToNative(
           fromAmount,
           request.fromCurrencyCode
@@ -182,37 +210,27 @@ export function makeCoinSwitchPlugin(
         toNativeAmount = request.nativeAmount
       }
 
-      const [nativeMin, nativeMax] = await Promise.all([
-        request.fromWallet.denominationToNative(
-          quoteReplies[1].data[0].limitMinDepositCoin.toString(),
-          request.fromCurrencyCode
-        ),
-        request.fromWallet.denominationToNative(
-          quoteReplies[1].data[0].limitMaxDepositCoin.toString(),
-          request.fromCurrencyCode
-        )
-      ])
-
-      if (lt(fromNativeAmount, nativeMin)) {
-        throw new SwapBelowLimitError(swapInfo, nativeMin)
-      }
-
-      if (gt(fromNativeAmount, nativeMax)) {
-        throw new SwapAboveLimitError(swapInfo, nativeMax)
-      }
-
-      const createOrder = await call({
-        route: 'v2/fixed/order',
-        params: {
-          depositCoin: quoteParams.depositCoin.toLowerCase(),
-          destinationCoin: quoteParams.destinationCoin.toLowerCase(),
-          depositCoinAmount: parseFloat(fromAmount),
-          offerReferenceId: offerReferenceId,
-          destinationAddress: { address: toAddress, tag: null },
-          refundAddress: { address: fromAddress, tag: null }
-        }
+      await checkSwapLimits(swapInfo, request, {
+        min: quoteReplies[1].data[0].limitMinDepositCoin.toString(),
+        max: quoteReplies[1].data[0].limitMaxDepositCoin.toString(),
+        fromNativeAmount
       })
 
+      const createOrder = await call(
+        {
+          route: 'v2/fixed/order',
+          params: {
+            depositCoin: quoteParams.depositCoin.toLowerCase(),
+            destinationCoin: quoteParams.destinationCoin.toLowerCase(),
+            depositCoinAmount: parseFloat(fromAmount),
+            offerReferenceId: offerReferenceId,
+            destinationAddress: { address: toAddress, tag: null },
+            refundAddress: { address: fromAddress, tag: null }
+          }
+        },
+        signal
+      )
+
       checkReply(createOrder)
       const quoteInfo: QuoteInfo = createOrder.data
 
@@ -233,6 +251,8 @@ export function makeCoinSwitchPlugin(
         swapData: {
           orderId: quoteInfo.orderId,
           orderUri: orderUri + quoteInfo.orderId,
+          depositAddress: quoteInfo.exchangeAddress.address,
+          depositNativeAmount: fromNativeAmount,
           isEstimate: false,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -254,13 +274,16 @@ export function makeCoinSwitchPlugin(
         'coinswitch',
         false, // isEstimate
         new Date(Date.now() + fixedExpirationMs),
-        quoteInfo.orderId
+        quoteInfo.orderId,
+        { history, log }
       )
     },
     async getEstimate(
       request: EdgeSwapRequest,
-      userSettings: Object | void
+      userSettings: Object | void,
+      signal?: AbortSignal
     ): Promise<EdgeSwapQuote> {
+      const { from, to } = getProviderCurrencies(swapInfo, request)
       const [fromAddress, toAddress] = await Promise.all([
         getAddress(request.fromWallet, request.fromCurrencyCode),
         getAddress(request.toWallet, request.toCurrencyCode)
@@ -280,24 +303,27 @@ export function makeCoinSwitchPlugin(
       const quoteParams =
         request.quoteFor === 'from'
           ? {
-              depositCoin: request.fromCurrencyCode.toLowerCase(),
-              destinationCoin: request.toCurrencyCode.toLowerCase(),
+              depositCoin: from.currencyCode.toLowerCase(),
+              destinationCoin: to.currencyCode.toLowerCase(),
               depositCoinAmount: quoteAmount
             }
           : {
-              depositCoin: request.fromCurrencyCode.toLowerCase(),
-              destinationCoin: request.toCurrencyCode.toLowerCase(),
+              depositCoin: from.currencyCode.toLowerCase(),
+              destinationCoin: to.currencyCode.toLowerCase(),
               destinationCoinAmount: quoteAmount
             }
 
       const quoteReplies = await Promise.all([
-        call({
-          route: 'v2/rate',
-          params: {
-            depositCoin: quoteParams.depositCoin.toLowerCase(),
-            destinationCoin: quoteParams.destinationCoin.toLowerCase()
-          }
-        })
+        call(
+          {
+            route: 'v2/rate',
+            params: {
+              depositCoin: quoteParams.depositCoin.toLowerCase(),
+              destinationCoin: quoteParams.destinationCoin.toLowerCase()
+            }
+          },
+          signal
+        )
       ])
 
       checkReply(quoteReplies[0], request)
@@ -326,36 +352,26 @@ export function makeCoinSwitchPlugin(
         toNativeAmount = request.nativeAmount
       }
 
-      const [nativeMin, nativeMax] = await Promise.all([
-        request.fromWallet.denominationToNative(
-          quoteReplies[0].data.limitMinDepositCoin.toString(),
-          request.fromCurrencyCode
-        ),
-        request.fromWallet.denominationToNative(
-          quoteReplies[0].data.limitMaxDepositCoin.toString(),
-          request.fromCurrencyCode
-        )
-      ])
-
-      if (lt(fromNativeAmount, nativeMin)) {
-        throw new SwapBelowLimitError(swapInfo, nativeMin)
-      }
-
-      if (gt(fromNativeAmount, nativeMax)) {
-        throw new SwapAboveLimitError(swapInfo, nativeMax)
-      }
-
-      const createOrder = await call({
-        route: 'v2/order',
-        params: {
-          depositCoin: quoteParams.depositCoin.toLowerCase(),
-          destinationCoin: quoteParams.destinationCoin.toLowerCase(),
-          depositCoinAmount: parseFloat(fromAmount),
-          destinationAddress: { address: toAddress, tag: null },
-          refundAddress: { address: fromAddress, tag: null }
-        }
+      await checkSwapLimits(swapInfo, request, {
+        min: quoteReplies[0].data.limitMinDepositCoin.toString(),
+        max: quoteReplies[0].data.limitMaxDepositCoin.toString(),
+        fromNativeAmount
       })
 
+      const createOrder = await call(
+        {
+          route: 'v2/order',
+          params: {
+            depositCoin: quoteParams.depositCoin.toLowerCase(),
+            destinationCoin: quoteParams.destinationCoin.toLowerCase(),
+            depositCoinAmount: parseFloat(fromAmount),
+            destinationAddress: { address: toAddress, tag: null },
+            refundAddress: { address: fromAddress, tag: null }
+          }
+        },
+        signal
+      )
+
       checkReply(createOrder)
       const quoteInfo: QuoteInfo = createOrder.data
 
@@ -372,6 +388,8 @@ export function makeCoinSwitchPlugin(
         swapData: {
           orderId: quoteInfo.orderId,
           orderUri: orderUri + quoteInfo.orderId,
+          depositAddress: quoteInfo.exchangeAddress.address,
+          depositNativeAmount: fromNativeAmount,
           isEstimate: true,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -393,10 +411,20 @@ export function makeCoinSwitchPlugin(
         'coinswitch',
         true,
         new Date(Date.now() + expirationMs),
-        quoteInfo.orderId
+        quoteInfo.orderId,
+        { history, log }
       )
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const reply = await get(`v2/order/${encodeURIComponent(orderId)}`)
+      checkReply(reply)
+      return {
+        orderId,
+        status: normalizeOrderStatus(ORDER_STATUSES, reply.data.status)
+      }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
@@ -1,10 +1,8 @@
 // @flow
 
-import { gt, lt } from 'biggystring'
 import {
   type EdgeCorePluginOptions,
   type EdgeCurrencyWallet,
-  type EdgeFetchResponse,
   type EdgeSpendInfo,
   type EdgeSwapInfo,
   type EdgeSwapPlugin,
@@ -17,9 +15,20 @@ import {
   SwapPermissionError
 } from 'edge-core-js/types'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
-
-const INVALID_CURRENCY_CODES = []
+import { getRejectionBody, HttpError, makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
 
 const pluginId = 'faast'
 const swapInfo: EdgeSwapInfo = {
@@ -28,6 +37,16 @@ const swapInfo: EdgeSwapInfo = {
   supportEmail: 'support@faa.st'
 }
 
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // Faast status: normalized order status
+  'awaiting deposit': 'waiting',
+  'pending deposit': 'pending',
+  processing: 'pending',
+  complete: 'settled',
+  refunded: 'refunded',
+  failed: 'failed'
+}
+
 const orderUri = 'https://faa.st/app/orders/'
 const API_PREFIX = 'https://api.faa.st/api/v2/public'
 
@@ -72,6 +91,7 @@ async function getAddress(wallet: EdgeCurrencyWallet, currencyCode: string) {
 
 export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
+  const history = makeSwapHistory(opts)
 
   let affiliateOptions = {}
   if (initOptions.affiliateId == null) {
@@ -84,56 +104,47 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
     }
   }
 
-  async function checkReply(uri: string, reply: EdgeFetchResponse) {
+  const http = makeHttpClient(io, {
+    headers: { Accept: 'application/json, text/plain, */*' },
+    log
+  })
+
+  async function checkReply(uri: string, promise: Promise<Object>) {
     let replyJson
     try {
-      replyJson = await reply.json()
+      replyJson = await promise
     } catch (e) {
-      throw new Error(
-        `Faast ${uri} returned error code ${reply.status} (no JSON)`
-      )
+      // Faast is not available in some parts of the world:
+      const body = getRejectionBody(e)
+      if (e.status === 403 && body != null && /geo/.test(body.error)) {
+        throw new SwapPermissionError(swapInfo, 'geoRestriction')
+      }
+      throw e
     }
     log('reply', replyJson)
 
-    // Faast is not available in some parts of the world:
-    if (
-      reply.status === 403 &&
-      replyJson != null &&
-      /geo/.test(replyJson.error)
-    ) {
-      throw new SwapPermissionError(swapInfo, 'geoRestriction')
-    }
-
-    // Anything else:
-    if (!reply.ok || (replyJson != null && replyJson.error != null)) {
-      throw new Error(
-        `Faast ${uri} returned error code ${
-          reply.status
-        } with JSON ${JSON.stringify(replyJson)}`
+    // Faast sometimes reports errors with a successful status:
+    if (replyJson != null && replyJson.error != null) {
+      throw new HttpError(
+        200,
+        uri,
+        replyJson,
+        `error ${JSON.stringify(replyJson.error)}`
       )
     }
 
     return replyJson
   }
 
-  async function get(path) {
+  async function get(path, signal?: AbortSignal) {
     const uri = `${API_PREFIX}${path}`
-    const reply = await io.fetch(uri)
-    return checkReply(uri, reply)
+    return checkReply(uri, http.get(uri, { signal }))
   }
 
-  async function post(path, body): Object {
+  async function post(path, body, signal?: AbortSignal): Object {
     const uri = `${API_PREFIX}${path}`
     log('request', path, body)
-    const reply = await io.fetch(uri, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json, text/plain, */*',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    })
-    return checkReply(uri, reply)
+    return checkReply(uri, http.post(uri, body, { signal }))
   }
 
   const out: EdgeSwapPlugin = {
@@ -141,8 +152,10 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
 
     async fetchSwapQuote(
       request: EdgeSwapRequest,
-      userSettings: Object | void
+      userSettings: Object | void,
+      opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
+      const { signal } = getQuoteFetchOptions(opts)
       const {
         fromCurrencyCode,
         fromWallet,
@@ -151,13 +164,10 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         toCurrencyCode,
         toWallet
       } = request
-      if (
-        toCurrencyCode === fromCurrencyCode ||
-        INVALID_CURRENCY_CODES.includes(toCurrencyCode) ||
-        INVALID_CURRENCY_CODES.includes(fromCurrencyCode)
-      ) {
+      if (toCurrencyCode === fromCurrencyCode) {
         throw new SwapCurrencyError(swapInfo, fromCurrencyCode, toCurrencyCode)
       }
+      const { from, to } = getProviderCurrencies(swapInfo, request)
 
       log('request', request)
 
@@ -166,9 +176,9 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
       let geoInfo
       try {
         ;[fromCurrency, toCurrency, geoInfo] = await Promise.all([
-          get(`/currencies/${fromCurrencyCode}`),
-          get(`/currencies/${toCurrencyCode}`),
-          get('/geoinfo/')
+          get(`/currencies/${from.currencyCode}`, signal),
+          get(`/currencies/${to.currencyCode}`, signal),
+          get('/geoinfo/', signal)
         ])
       } catch (e) {
         if (/not supported/.test(e.message)) {
@@ -211,8 +221,16 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         fromAddressData: FaastAddressJson,
         toAddressData: FaastAddressJson
       ] = await Promise.all([
-        post('/address', { address: fromAddress, currency: fromCurrencyCode }),
-        post('/address', { address: toAddress, currency: toCurrencyCode })
+        post(
+          '/address',
+          { address: fromAddress, currency: from.currencyCode },
+          signal
+        ),
+        post(
+          '/address',
+          { address: toAddress, currency: to.currencyCode },
+          signal
+        )
       ])
       if (!fromAddressData.valid || !toAddressData.valid) {
         throw new SwapCurrencyError(swapInfo, fromCurrencyCode, toCurrencyCode)
@@ -244,7 +262,8 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
       let pairInfo
       try {
         pairInfo = await get(
-          `/price/${fromCurrencyCode}_${toCurrencyCode}${query}`
+          `/price/${from.currencyCode}_${to.currencyCode}${query}`,
+          signal
         )
       } catch (e) {
         if (/not currently supported/.test(e.message)) {
@@ -257,49 +276,28 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         throw e
       }
 
-      let nativeMax
-      let nativeMin
-      if (quoteFor === 'from') {
-        ;[nativeMax, nativeMin] = await Promise.all([
-          pairInfo.maximum_deposit
-            ? fromWallet.denominationToNative(
-                pairInfo.maximum_deposit.toString(),
-                fromCurrencyCode
-              )
-            : null,
-          typeof pairInfo.minimum_deposit === 'number'
-            ? fromWallet.denominationToNative(
-                pairInfo.minimum_deposit.toString(),
-                fromCurrencyCode
-              )
-            : null
-        ])
-      } else {
-        ;[nativeMax, nativeMin] = await Promise.all([
-          pairInfo.maximum_withdrawal
-            ? toWallet.denominationToNative(
-                pairInfo.maximum_withdrawal.toString(),
-                toCurrencyCode
-              )
-            : null,
-          typeof pairInfo.minimum_withdrawal === 'number'
-            ? toWallet.denominationToNative(
-                pairInfo.minimum_withdrawal.toString(),
-                toCurrencyCode
-              )
-            : null
-        ])
-      }
-      if (nativeMin != null && lt(nativeAmount, nativeMin)) {
-        throw new SwapBelowLimitError(swapInfo, nativeMin)
-      }
-      if (nativeMax != null && gt(nativeAmount, nativeMax)) {
-        throw new SwapAboveLimitError(swapInfo, nativeMax)
-      }
+      // Check whichever side the user asked for,
+      // using the price to report the limits in the "from" currency:
+      await checkSwapLimits(
+        swapInfo,
+        request,
+        quoteFor === 'from'
+          ? {
+              min: pairInfo.minimum_deposit,
+              max: pairInfo.maximum_deposit || undefined,
+              rate: pairInfo.price
+            }
+          : {
+              min: pairInfo.minimum_withdrawal,
+              max: pairInfo.maximum_withdrawal || undefined,
+              limitCurrency: 'to',
+              rate: pairInfo.price
+            }
+      )
 
       const body: Object = {
-        deposit_currency: fromCurrencyCode,
-        withdrawal_currency: toCurrencyCode,
+        deposit_currency: from.currencyCode,
+        withdrawal_currency: to.currencyCode,
         refund_address: fromAddressData.standardized,
         withdrawal_address: toAddressData.standardized,
         ...quoteAmount,
@@ -308,15 +306,30 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
 
       let quoteData: FaastQuoteJson
       try {
-        quoteData = await post('/swap', body)
+        quoteData = await post('/swap', body, signal)
       } catch (e) {
-        // TODO: Using the nativeAmount here is technically a bug,
-        // since we don't know the actual limit in this case:
-        if (/amount less than/.test(e.message)) {
-          throw new SwapBelowLimitError(swapInfo, nativeMin || nativeAmount)
+        // The limits moved since we checked, but the deposit limits
+        // are still in the "from" currency:
+        if (
+          /amount less than/.test(e.message) &&
+          pairInfo.minimum_deposit != null
+        ) {
+          throw new SwapBelowLimitError(
+            swapInfo,
+            await fromWallet.denominationToNative(
+              pairInfo.minimum_deposit.toString(),
+              fromCurrencyCode
+            )
+          )
         }
-        if (/is greater/.test(e.message)) {
-          throw new SwapAboveLimitError(swapInfo, nativeMax || nativeAmount)
+        if (/is greater/.test(e.message) && pairInfo.maximum_deposit != null) {
+          throw new SwapAboveLimitError(
+            swapInfo,
+            await fromWallet.denominationToNative(
+              pairInfo.maximum_deposit.toString(),
+              fromCurrencyCode
+            )
+          )
         }
         throw e
       }
@@ -344,6 +357,8 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         swapData: {
           orderId: quoteData.swap_id,
           orderUri: orderUri + quoteData.swap_id,
+          depositAddress: spendTarget.publicAddress,
+          depositNativeAmount: spendTarget.nativeAmount,
           isEstimate: false,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -367,10 +382,20 @@ export function makeFaastPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         'faast',
         false,
         new Date(quoteData.price_locked_until),
-        quoteData.swap_id
+        quoteData.swap_id,
+        { history, log }
       )
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const reply = await get(`/swaps/${encodeURIComponent(orderId)}`)
+      return {
+        orderId,
+        status: normalizeOrderStatus(ORDER_STATUSES, reply.status),
+        expirationDate: new Date(reply.price_locked_until)
+      }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
@@ -9,12 +9,26 @@ import {
   type EdgeSwapRequest,
   type EdgeSwapResult,
   type EdgeTransaction,
-  SwapAboveLimitError,
-  SwapBelowLimitError,
   SwapCurrencyError,
   SwapPermissionError
 } from 'edge-core-js/types'
 
+import { getRejectionBody, makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote,
+  SwapExpiredError
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
+
 const pluginId = 'foxExchange'
 const swapInfo: EdgeSwapInfo = {
   pluginId,
@@ -22,6 +36,19 @@ const swapInfo: EdgeSwapInfo = {
   supportEmail: 'support@fox.exchange'
 }
 
+// Fox speaks the CoinSwitch API dialect:
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // Fox status: normalized order status
+  no_deposit: 'waiting',
+  confirming: 'pending',
+  exchanging: 'pending',
+  sending: 'settling',
+  complete: 'settled',
+  refunded: 'refunded',
+  failed: 'failed',
+  timeout: 'expired'
+}
+
 const orderUri = 'https://fox.exchange/tx/'
 const uri = 'https://fox.exchange/api/cs'
 const expirationMs = 1000 * 60 * 20
@@ -82,39 +109,70 @@ export function makeFoxExchangePlugin(
   opts: EdgeCorePluginOptions
 ): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
-  const { fetchCors = io.fetch } = io
 
   if (initOptions.apiKey == null) {
     throw new Error('No fox.exchange apiKey provided.')
   }
   const { apiKey } = initOptions
+  const history = makeSwapHistory(opts)
+  const http = makeHttpClient(io, {
+    headers: { Accept: 'application/json', 'X-API-Key': apiKey },
+    log,
+    secrets: [apiKey]
+  })
 
   const out: EdgeSwapPlugin = {
     swapInfo,
 
     async fetchSwapQuote(
       request: EdgeSwapRequest,
-      userSettings: Object | void
+      userSettings: Object | void,
+      opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
-      async function post(path: string, data: Object) {
-        log(`request to ${path}`, data)
-        const body = JSON.stringify(data)
-        const response = await fetchCors(`${uri}${path}`, {
-          method: 'POST',
-          body,
-          headers: {
-            'Content-Type': 'application/json',
-            Accept: 'application/json',
-            'X-API-Key': apiKey,
-            'X-User-IP': 'same_as_requester'
-          }
-        })
+      const { signal } = getQuoteFetchOptions(opts)
+      const { from, to } = getProviderCurrencies(swapInfo, request)
+
+      // Reports the limits from a /rate reply, in whichever currency
+      // the request uses:
+      async function checkRateLimits(rateResp: RateInfo): Promise<void> {
+        await checkSwapLimits(
+          swapInfo,
+          request,
+          request.quoteFor === 'from'
+            ? {
+                min: rateResp.limitMinDepositCoin,
+                max: rateResp.limitMaxDepositCoin,
+                rate: rateResp.rate ?? undefined
+              }
+            : {
+                min: rateResp.limitMinDestinationCoin,
+                max: rateResp.limitMaxDestinationCoin,
+                limitCurrency: 'to',
+                rate: rateResp.rate ?? undefined
+              }
+        )
+      }
 
-        const json = await response.json()
-        log(`reply to ${path} (${response.status})`, json)
-        if (!json) {
-          throw new Error(`fox returned error code ${response.status}`)
-        } else if (!json.success) {
+      async function post(
+        path: string,
+        data: Object,
+        signal?: AbortSignal,
+        quoteLimits?: RateInfo // Checked if the reply breaks a limit
+      ) {
+        log(`request to ${path}`, data)
+        let json
+        try {
+          json = await http.post(`${uri}${path}`, data, {
+            headers: { 'X-User-IP': 'same_as_requester' },
+            signal
+          })
+        } catch (e) {
+          // Fox explains rejected requests in the body:
+          json = getRejectionBody(e)
+          if (json == null) throw e
+        }
+        log(`reply to ${path}`, json)
+        if (!json.success) {
           if (
             json.code === 'invalid_symbol' ||
             json.code === 'trade_pair_disabled'
@@ -126,14 +184,15 @@ export function makeFoxExchangePlugin(
             )
           } else if (json.code === 'region_lock') {
             throw new SwapPermissionError(swapInfo, 'geoRestriction')
-          } else if (json.code === 'min_limit_breached') {
-            // TODO: Using the nativeAmount here is technically a bug,
-            // since we don't know the actual limit in this case:
-            throw new SwapBelowLimitError(swapInfo, request.nativeAmount)
-          } else if (json.code === 'max_limit_breached') {
-            // TODO: Using the nativeAmount here is technically a bug,
-            // since we don't know the actual limit in this case:
-            throw new SwapAboveLimitError(swapInfo, request.nativeAmount)
+          } else if (
+            json.code === 'min_limit_breached' ||
+            json.code === 'max_limit_breached'
+          ) {
+            // Report the real limits, from the reply or else the quote:
+            const limits =
+              json.data != null ? { ...quoteLimits, ...json.data } : quoteLimits
+            if (limits != null) await checkRateLimits(limits)
+            throw new Error(`fox.exchange refused the amount: ${json.code}`)
           }
 
           log.error('error:', json)
@@ -145,8 +204,8 @@ export function makeFoxExchangePlugin(
 
       try {
         const rateReq: RateRequest = {
-          depositCoin: request.fromCurrencyCode,
-          destinationCoin: request.toCurrencyCode,
+          depositCoin: from.currencyCode,
+          destinationCoin: to.currencyCode,
           requestFixed: true,
           requestDummyAddress: true
         }
@@ -167,78 +226,30 @@ export function makeFoxExchangePlugin(
           )
         }
 
-        const rateResp: RateInfo = await post('/rate', rateReq)
+        const rateResp: RateInfo = await post('/rate', rateReq, signal)
         let sourceAmount: number
         let targetAmount: number
 
+        // Fox leaves out the amounts if they break the limits:
+        await checkRateLimits(rateResp)
         if (request.quoteFor === 'from') {
-          if (rateResp.destinationCoinAmount) {
-            targetAmount = rateResp.destinationCoinAmount
-          } else if (
-            rateReq.depositCoinAmount &&
-            rateResp.limitMinDepositCoin &&
-            rateReq.depositCoinAmount < rateResp.limitMinDepositCoin
-          ) {
-            throw new SwapBelowLimitError(
-              swapInfo,
-              await request.fromWallet.denominationToNative(
-                String(rateResp.limitMinDepositCoin),
-                request.fromCurrencyCode
-              )
-            )
-          } else if (
-            rateReq.depositCoinAmount &&
-            rateResp.limitMaxDepositCoin &&
-            rateReq.depositCoinAmount > rateResp.limitMaxDepositCoin
-          ) {
-            throw new SwapAboveLimitError(
-              swapInfo,
-              await request.fromWallet.denominationToNative(
-                String(rateResp.limitMaxDepositCoin),
-                request.fromCurrencyCode
-              )
-            )
-          } else {
+          if (!rateResp.destinationCoinAmount) {
             throw new SwapCurrencyError(
               swapInfo,
               request.fromCurrencyCode,
               request.toCurrencyCode
             )
           }
+          targetAmount = rateResp.destinationCoinAmount
         } else {
-          if (rateResp.depositCoinAmount) {
-            sourceAmount = rateResp.depositCoinAmount
-          } else if (
-            rateReq.destinationCoinAmount &&
-            rateResp.limitMinDestinationCoin &&
-            rateReq.destinationCoinAmount < rateResp.limitMinDestinationCoin
-          ) {
-            throw new SwapBelowLimitError(
-              swapInfo,
-              await request.toWallet.denominationToNative(
-                String(rateResp.limitMinDestinationCoin),
-                request.toCurrencyCode
-              )
-            )
-          } else if (
-            rateReq.destinationCoinAmount &&
-            rateResp.limitMaxDestinationCoin &&
-            rateReq.destinationCoinAmount > rateResp.limitMaxDestinationCoin
-          ) {
-            throw new SwapAboveLimitError(
-              swapInfo,
-              await request.toWallet.denominationToNative(
-                String(rateResp.limitMaxDestinationCoin),
-                request.toCurrencyCode
-              )
-            )
-          } else {
+          if (!rateResp.depositCoinAmount) {
             throw new SwapCurrencyError(
               swapInfo,
               request.fromCurrencyCode,
               request.toCurrencyCode
             )
           }
+          sourceAmount = rateResp.depositCoinAmount
         }
 
         // Get fee by building TX to self unless server returned a dummy address
@@ -306,33 +317,46 @@ export function makeFoxExchangePlugin(
           isEstimate: !rateResp.quoteToken,
 
           async approve(): Promise<EdgeSwapResult> {
-            const orderResp: OrderInfo = await post('/order', {
-              depositCoin: request.fromCurrencyCode,
-              destinationCoin: request.toCurrencyCode,
-              depositCoinAmount:
-                rateReq.depositCoinAmount || rateResp.depositCoinAmount,
-              destinationAddress: {
-                address: destinationAddress,
-                tag: null
+            // Fox only creates the order now, so check the quote first:
+            const { expirationDate } = quote
+            if (
+              expirationDate != null &&
+              Date.now() >= expirationDate.valueOf()
+            ) {
+              throw new SwapExpiredError(pluginId, expirationDate)
+            }
+
+            const orderResp: OrderInfo = await post(
+              '/order',
+              {
+                depositCoin: from.currencyCode,
+                destinationCoin: to.currencyCode,
+                depositCoinAmount:
+                  rateReq.depositCoinAmount || rateResp.depositCoinAmount,
+                destinationAddress: {
+                  address: destinationAddress,
+                  tag: null
+                },
+                futureOrderId: rateResp.futureOrderId,
+                quoteToken: rateResp.quoteToken
               },
-              futureOrderId: rateResp.futureOrderId,
-              quoteToken: rateResp.quoteToken
-            })
+              undefined,
+              rateResp
+            )
 
             log(`transaction ID: ${orderResp.orderId}`)
 
+            const spendTarget = {
+              nativeAmount: await request.fromWallet.denominationToNative(
+                String(orderResp.expectedDepositCoinAmount),
+                request.fromCurrencyCode
+              ),
+              publicAddress: orderResp.exchangeAddress.address,
+              uniqueIdentifier: orderResp.exchangeAddress.tag || undefined
+            }
             const tx: EdgeTransaction = await request.fromWallet.makeSpend({
               currencyCode: request.fromCurrencyCode,
-              spendTargets: [
-                {
-                  nativeAmount: await request.fromWallet.denominationToNative(
-                    String(orderResp.expectedDepositCoinAmount),
-                    request.fromCurrencyCode
-                  ),
-                  publicAddress: orderResp.exchangeAddress.address,
-                  uniqueIdentifier: orderResp.exchangeAddress.tag || undefined
-                }
-              ],
+              spendTargets: [spendTarget],
               networkFeeOption:
                 request.fromCurrencyCode.toUpperCase() === 'BTC'
                   ? 'high'
@@ -340,6 +364,8 @@ export function makeFoxExchangePlugin(
               swapData: {
                 orderId: rateResp.futureOrderId,
                 orderUri: orderUri + rateResp.futureOrderId,
+                depositAddress: spendTarget.publicAddress,
+                depositNativeAmount: spendTarget.nativeAmount,
                 isEstimate: !rateResp.quoteToken,
                 payoutAddress: destinationAddress,
                 payoutCurrencyCode: request.toCurrencyCode,
@@ -350,17 +376,19 @@ export function makeFoxExchangePlugin(
               }
             })
 
-            const signedTransaction = await request.fromWallet.signTx(tx)
-            const broadcastedTransaction = await request.fromWallet.broadcastTx(
-              signedTransaction
-            )
-            await request.fromWallet.saveTx(signedTransaction)
-
-            return {
-              transaction: broadcastedTransaction,
-              orderId: rateResp.futureOrderId,
-              destinationAddress
-            }
+            // Checks the deposit & balance before sending:
+            return makeSwapPluginQuote(
+              request,
+              spendTarget.nativeAmount,
+              quote.toNativeAmount,
+              tx,
+              destinationAddress,
+              pluginId,
+              quote.isEstimate,
+              expirationDate,
+              rateResp.futureOrderId,
+              { history, log }
+            ).approve()
           },
 
           async close() {
@@ -380,8 +408,19 @@ export function makeFoxExchangePlugin(
         log(`exception`, e)
         throw e
       }
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const json = await http.get(`${uri}/order/${encodeURIComponent(orderId)}`)
+      if (!json.success) {
+        throw new Error(`fox.exchange replied: ${json.error || json.code}`)
+      }
+      return {
+        orderId,
+        status: normalizeOrderStatus(ORDER_STATUSES, json.data.status)
+      }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
@@ -1,6 +1,5 @@
 // @flow
 
-import { lt } from 'biggystring'
 import {
   type EdgeCorePluginOptions,
   type EdgeCurrencyWallet,
@@ -10,11 +9,23 @@ import {
   type EdgeSwapQuote,
   type EdgeSwapRequest,
   type EdgeTransaction,
-  SwapBelowLimitError,
   SwapCurrencyError
 } from 'edge-core-js/types'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
+import { HttpError, makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
 
 const pluginId = 'godex'
 const swapInfo: EdgeSwapInfo = {
@@ -23,6 +34,20 @@ const swapInfo: EdgeSwapInfo = {
   supportEmail: 'support@godex.io'
 }
 
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // Godex status: normalized order status
+  wait: 'waiting',
+  confirmation: 'pending',
+  confirmed: 'pending',
+  exchanging: 'pending',
+  sending: 'settling',
+  sending_confirmation: 'settling',
+  success: 'settled',
+  overdue: 'expired',
+  error: 'failed',
+  refunded: 'refunded'
+}
+
 const orderUri = 'https://godex.io/exchange/waiting/'
 const uri = 'https://api.godex.io/api/v1/'
 
@@ -62,27 +87,26 @@ async function getAddress(wallet: EdgeCurrencyWallet, currencyCode: string) {
 
 export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
-  const { fetchCors = io.fetch } = io
+  const history = makeSwapHistory(opts)
+  const http = makeHttpClient(io, {
+    headers: { Accept: 'application/json' },
+    log,
+    secrets: [initOptions.apiKey]
+  })
 
-  async function call(url, request, data) {
-    const body = JSON.stringify(data.params)
-
-    const headers = {
-      'Content-Type': 'application/json',
-      Accept: 'application/json'
-    }
-    const response = await fetchCors(url, { method: 'POST', body, headers })
-    if (!response.ok) {
-      if (response.status === 422) {
+  async function call(url, request, data, signal?: AbortSignal) {
+    try {
+      return await http.post(url, data.params, { signal })
+    } catch (e) {
+      if (e instanceof HttpError && e.status === 422) {
         throw new SwapCurrencyError(
           swapInfo,
           request.fromCurrencyCode,
           request.toCurrencyCode
         )
       }
-      throw new Error(`godex returned error code ${response.status}`)
+      throw e
     }
-    return response.json()
   }
 
   const out: EdgeSwapPlugin = {
@@ -93,6 +117,9 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
       userSettings: Object | void,
       opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
+      const { promoCode, signal } = getQuoteFetchOptions(opts)
+      const { from, to } = getProviderCurrencies(swapInfo, request)
+
       // Grab addresses:
       const [fromAddress, toAddress] = await Promise.all([
         getAddress(request.fromWallet, request.fromCurrencyCode),
@@ -113,8 +140,8 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
 
       // Swap the currencies if we need a reverse quote:
       const quoteParams = {
-        from: request.fromCurrencyCode,
-        to: request.toCurrencyCode,
+        from: from.currencyCode,
+        to: to.currencyCode,
         amount: quoteAmount
       }
       log('quoteParams:', quoteParams)
@@ -122,9 +149,12 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
       // Calculate the amounts:
       let fromAmount, fromNativeAmount, toNativeAmount, reply
       if (request.quoteFor === 'from') {
-        reply = await call(uri + 'info', request, {
-          params: quoteParams
-        })
+        reply = await call(
+          uri + 'info',
+          request,
+          { params: quoteParams },
+          signal
+        )
         fromAmount = quoteAmount
         fromNativeAmount = request.nativeAmount
         toNativeAmount = await request.toWallet.denominationToNative(
@@ -132,9 +162,12 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
           request.toCurrencyCode
         )
       } else {
-        reply = await call(uri + 'info-revert', request, {
-          params: quoteParams
-        })
+        reply = await call(
+          uri + 'info-revert',
+          request,
+          { params: quoteParams },
+          signal
+        )
         fromAmount = reply.amount
         fromNativeAmount = await request.fromWallet.denominationToNative(
           fromAmount.toString(),
@@ -145,23 +178,20 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
       log('fromNativeAmount' + fromNativeAmount)
       log('toNativeAmount' + toNativeAmount)
 
-      // Check the minimum:
-      const nativeMin = await request.fromWallet.denominationToNative(
-        reply.min_amount,
-        request.fromCurrencyCode
-      )
-      if (lt(fromNativeAmount, nativeMin)) {
-        throw new SwapBelowLimitError(swapInfo, nativeMin)
-      }
-      const { promoCode } = opts
+      // Check the limits:
+      await checkSwapLimits(swapInfo, request, {
+        min: reply.min_amount,
+        max: reply.max_amount,
+        fromNativeAmount
+      })
       const sendReply = await call(
         uri + 'transaction' + (promoCode != null ? `?promo=${promoCode}` : ''),
         request,
         {
           params: {
             deposit_amount: fromAmount,
-            coin_from: request.fromCurrencyCode,
-            coin_to: request.toCurrencyCode,
+            coin_from: from.currencyCode,
+            coin_to: to.currencyCode,
             withdrawal: toAddress,
             return: fromAddress,
             // return_extra_id: 'empty',
@@ -174,7 +204,8 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
             coin_from_network: request.fromWallet.currencyInfo.currencyCode,
             coin_to_network: request.toWallet.currencyInfo.currencyCode
           }
-        }
+        },
+        signal
       )
       log('sendReply' + sendReply)
       const quoteInfo: QuoteInfo = sendReply
@@ -196,6 +227,8 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         swapData: {
           orderId: quoteInfo.transaction_id,
           orderUri: orderUri + quoteInfo.transaction_id,
+          depositAddress: quoteInfo.deposit,
+          depositNativeAmount: fromNativeAmount,
           isEstimate: false,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -219,10 +252,21 @@ export function makeGodexPlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         'godex',
         false, // isEstimate, correct?
         new Date(Date.now() + expirationMs),
-        quoteInfo.transaction_id
+        quoteInfo.transaction_id,
+        { history, log }
       )
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const quoteInfo: QuoteInfo = await http.get(
+        uri + `transaction/${encodeURIComponent(orderId)}`
+      )
+      return {
+        orderId,
+        status: normalizeOrderStatus(ORDER_STATUSES, quoteInfo.status)
+      }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
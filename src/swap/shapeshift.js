@@ -1,10 +1,9 @@
 // @flow
 
-import { div, gt, lt, mul } from 'biggystring'
+import { div, mul } from 'biggystring'
 import {
   type EdgeCorePluginOptions,
   type EdgeCurrencyWallet,
-  type EdgeFetchResponse,
   type EdgeSpendInfo,
   type EdgeSpendTarget,
   type EdgeSwapInfo,
@@ -19,7 +18,20 @@ import {
   SwapPermissionError
 } from 'edge-core-js/types'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
+import { getRejectionBody, HttpError, makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
 
 const pluginId = 'shapeshift'
 const swapInfo: EdgeSwapInfo = {
@@ -28,6 +40,16 @@ const swapInfo: EdgeSwapInfo = {
   supportEmail: 'support@shapeshift.io'
 }
 
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // Shapeshift status: normalized order status
+  awaiting: 'waiting',
+  no_deposits: 'waiting',
+  received: 'pending',
+  complete: 'settled',
+  failed: 'failed',
+  expired: 'expired'
+}
+
 const orderUri = 'https://shapeshift.io/#/status/'
 const API_PREFIX = 'https://shapeshift.io'
 
@@ -64,79 +86,88 @@ export function makeShapeshiftPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
+  const history = makeSwapHistory(opts)
 
   if (initOptions.apiKey == null) {
     throw new Error('No Shapeshift API key provided')
   }
   const { apiKey } = initOptions
 
-  async function checkReply(uri: string, reply: EdgeFetchResponse) {
+  const http = makeHttpClient(io, {
+    headers: { Accept: 'application/json, text/plain, */*' },
+    log,
+    secrets: [apiKey]
+  })
+
+  async function checkReply(uri: string, promise: Promise<Object>) {
     let replyJson
     try {
-      replyJson = await reply.json()
+      replyJson = await promise
     } catch (e) {
-      throw new Error(
-        `Shapeshift ${uri} returned error code ${reply.status} (no JSON)`
-      )
-    }
-    log('reply', replyJson)
+      const body = getRejectionBody(e)
+      if (body != null) log('reply', body)
 
-    // Shapeshift is not available in some parts of the world:
-    if (
-      reply.status === 403 &&
-      replyJson != null &&
-      replyJson.error != null &&
-      replyJson.error.code === 'geoRestriction'
-    ) {
-      throw new SwapPermissionError(swapInfo, 'geoRestriction')
-    }
+      // Shapeshift is not available in some parts of the world:
+      if (
+        e.status === 403 &&
+        body != null &&
+        body.error != null &&
+        body.error.code === 'geoRestriction'
+      ) {
+        throw new SwapPermissionError(swapInfo, 'geoRestriction')
+      }
 
-    // Shapeshift requires KYC:
-    if (
-      reply.status === 401 &&
-      replyJson != null &&
-      replyJson.message === 'You must be logged in with a verified user'
-    ) {
-      throw new SwapPermissionError(swapInfo, 'noVerification')
-    }
-    if (
-      reply.status === 403 &&
-      replyJson != null &&
-      replyJson.message === 'User must complete KYC'
-    ) {
-      throw new SwapPermissionError(swapInfo, 'noVerification')
+      // Shapeshift requires KYC:
+      if (
+        e.status === 401 &&
+        body != null &&
+        body.message === 'You must be logged in with a verified user'
+      ) {
+        throw new SwapPermissionError(swapInfo, 'noVerification')
+      }
+      if (
+        e.status === 403 &&
+        body != null &&
+        body.message === 'User must complete KYC'
+      ) {
+        throw new SwapPermissionError(swapInfo, 'noVerification')
+      }
+      throw e
     }
+    log('reply', replyJson)
 
-    // Anything else:
-    if (!reply.ok || (replyJson != null && replyJson.error != null)) {
-      throw new Error(
-        `Shapeshift ${uri} returned error code ${
-          reply.status
-        } with JSON ${JSON.stringify(replyJson)}`
+    // Shapeshift sometimes reports errors with a successful status:
+    if (replyJson != null && replyJson.error != null) {
+      throw new HttpError(
+        200,
+        uri,
+        replyJson,
+        `error ${JSON.stringify(replyJson.error)}`
       )
     }
 
     return replyJson
   }
 
-  async function get(path) {
+  async function get(path, signal?: AbortSignal) {
     const uri = `${API_PREFIX}${path}`
-    const reply = await io.fetch(uri)
-    return checkReply(uri, reply)
+    return checkReply(uri, http.get(uri, { signal }))
   }
 
-  async function post(path, body, accessToken: string): Object {
+  async function post(
+    path,
+    body,
+    accessToken: string,
+    signal?: AbortSignal
+  ): Object {
     const uri = `${API_PREFIX}${path}`
-    const reply = await io.fetch(uri, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json, text/plain, */*',
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${accessToken}`
-      },
-      body: JSON.stringify(body)
-    })
-    return checkReply(uri, reply)
+    return checkReply(
+      uri,
+      http.post(uri, body, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        signal
+      })
+    )
   }
 
   const out: EdgeSwapPlugin = {
@@ -150,8 +181,10 @@ export function makeShapeshiftPlugin(
 
     async fetchSwapQuote(
       request: EdgeSwapRequest,
-      userSettings: Object | void
+      userSettings: Object | void,
+      opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
+      const { signal } = getQuoteFetchOptions(opts)
       const {
         fromCurrencyCode,
         fromWallet,
@@ -163,11 +196,13 @@ export function makeShapeshiftPlugin(
       if (toCurrencyCode === fromCurrencyCode) {
         throw new SwapCurrencyError(swapInfo, fromCurrencyCode, toCurrencyCode)
       }
+      const { from, to } = getProviderCurrencies(swapInfo, request)
+      const pair = `${from.currencyCode}_${to.currencyCode}`
 
       // Check for supported currencies, even if we aren't activated:
-      const json = await get(`/getcoins/`)
-      const fromStatus = json[fromCurrencyCode.toUpperCase()]
-      const toStatus = json[toCurrencyCode.toUpperCase()]
+      const json = await get(`/getcoins/`, signal)
+      const fromStatus = json[from.currencyCode.toUpperCase()]
+      const toStatus = json[to.currencyCode.toUpperCase()]
       if (
         fromStatus == null ||
         toStatus == null ||
@@ -184,27 +219,12 @@ export function makeShapeshiftPlugin(
       const { accessToken } = userSettings
 
       // Check for minimum / maximum:
-      if (quoteFor === 'from') {
-        const json = await get(
-          `/marketinfo/${fromCurrencyCode}_${toCurrencyCode}`
-        )
-        const [nativeMax, nativeMin] = await Promise.all([
-          fromWallet.denominationToNative(
-            json.limit.toString(),
-            fromCurrencyCode
-          ),
-          fromWallet.denominationToNative(
-            json.minimum.toString(),
-            fromCurrencyCode
-          )
-        ])
-        if (lt(nativeAmount, nativeMin)) {
-          throw new SwapBelowLimitError(swapInfo, nativeMin)
-        }
-        if (gt(nativeAmount, nativeMax)) {
-          throw new SwapAboveLimitError(swapInfo, nativeMax)
-        }
-      }
+      const marketInfo = await get(`/marketinfo/${pair}`, signal)
+      await checkSwapLimits(swapInfo, request, {
+        min: marketInfo.minimum,
+        max: marketInfo.limit,
+        rate: marketInfo.rate
+      })
 
       // Grab addresses:
       const fromAddress = await getAddress(fromWallet, fromCurrencyCode)
@@ -227,7 +247,7 @@ export function makeShapeshiftPlugin(
           : { amount: div(nativeAmount, multiplierTo, 16) }
       const body: Object = {
         apiKey,
-        pair: `${fromCurrencyCode}_${toCurrencyCode}`,
+        pair,
         returnAddress: fromAddress,
         withdrawal: toAddress,
         ...quoteAmount
@@ -235,15 +255,26 @@ export function makeShapeshiftPlugin(
 
       let quoteData: ShapeShiftQuoteJson
       try {
-        quoteData = await post('/sendamount', body, accessToken)
+        quoteData = await post('/sendamount', body, accessToken, signal)
       } catch (e) {
-        // TODO: Using the nativeAmount here is technically a bug,
-        // since we don't know the actual limit in this case:
+        // The market moved since we checked, so report its limits:
         if (/is below/.test(e.message)) {
-          throw new SwapBelowLimitError(swapInfo, nativeAmount)
+          throw new SwapBelowLimitError(
+            swapInfo,
+            await fromWallet.denominationToNative(
+              marketInfo.minimum.toString(),
+              fromCurrencyCode
+            )
+          )
         }
         if (/is greater/.test(e.message)) {
-          throw new SwapAboveLimitError(swapInfo, nativeAmount)
+          throw new SwapAboveLimitError(
+            swapInfo,
+            await fromWallet.denominationToNative(
+              marketInfo.limit.toString(),
+              fromCurrencyCode
+            )
+          )
         }
         throw e
       }
@@ -278,6 +309,8 @@ export function makeShapeshiftPlugin(
         swapData: {
           orderId: exchangeData.orderId,
           orderUri: orderUri + exchangeData.orderId,
+          depositAddress: spendTarget.publicAddress,
+          depositNativeAmount: spendTarget.nativeAmount,
           isEstimate: false,
           payoutAddress: toAddress,
           payoutCurrencyCode: request.toCurrencyCode,
@@ -300,10 +333,19 @@ export function makeShapeshiftPlugin(
         'shapeshift',
         false,
         new Date(exchangeData.expiration * 1000),
-        exchangeData.orderId
+        exchangeData.orderId,
+        { history, log }
       )
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const json = await get(`/orderInfo/${encodeURIComponent(orderId)}`)
+      return {
+        orderId,
+        status: normalizeOrderStatus(ORDER_STATUSES, json.status)
+      }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
@@ -1,6 +1,16 @@
 // @flow
 
-import { asBoolean, asEither, asObject, asOptional, asString } from 'cleaners'
+import { add, div, gt, lt, mul, sub, toFixed } from 'biggystring'
+import {
+  asArray,
+  asBoolean,
+  asEither,
+  asMap,
+  asNumber,
+  asObject,
+  asOptional,
+  asString
+} from 'cleaners'
 import {
   SwapAboveLimitError,
   SwapBelowLimitError,
@@ -10,23 +20,45 @@ import {
 import {
   type EdgeCorePluginOptions,
   type EdgeCurrencyWallet,
-  type EdgeFetchFunction,
+  type EdgeIo,
+  type EdgeLog,
+  type EdgeReceiveAddress,
   type EdgeSpendInfo,
   type EdgeSwapInfo,
   type EdgeSwapPlugin,
   type EdgeSwapQuote,
-  type EdgeSwapRequest
+  type EdgeSwapRequest,
+  type EdgeSwapResult
 } from 'edge-core-js/types'
+import utf8Codec from 'utf8'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
+import { getRejectionBody, HttpError, makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrency } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote,
+  SwapQuoteExpiredError
+} from '../swap-helpers.js'
+import {
+  type SwapHistory,
+  makeSwapHistory,
+  withSwapHistory
+} from '../swap-history.js'
+import {
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
 
-// Invalid currency codes should *not* have transcribed codes
-// because currency codes with transcribed versions are NOT invalid
-const CURRENCY_CODE_TRANSCRIPTION = {
-  // Edge currencyCode: exchangeCurrencyCode
-  USDT: 'usdtErc20'
-}
-const SIDESHIFT_BASE_URL = 'https://sideshift.ai/api/v1'
+const LIGHTNING_NETWORK = 'lightning'
+export const SIDESHIFT_BASE_URL = 'https://sideshift.ai/api/v1'
+const FACTS_FILE = 'facts.json'
+const FACTS_TTL_MS = 1000 * 60 * 60
+const DEFAULT_REQUOTE_TOLERANCE = '0.01'
+const PERMISSIONS_TTL_MS = 1000 * 60 * 10
+const ABANDONED_FILE = 'abandoned.json'
+const ABANDONED_TTL_MS = 1000 * 60 * 60 * 24 * 30
 const pluginId = 'sideshift'
 const swapInfo: EdgeSwapInfo = {
   pluginId,
@@ -35,25 +67,200 @@ const swapInfo: EdgeSwapInfo = {
 }
 const ORDER_STATUS_URL = 'https://sideshift.ai/orders/'
 
+export type SideshiftOrderStatus = {
+  orderId: string,
+  status: SwapOrderStatusType,
+  expirationDate: Date,
+  abandoned: boolean // The user backed out before sending a deposit
+}
+
+/**
+ * What a SideShift quote costs beyond the miner fee, for display.
+ * Rates are in settle currency per unit of deposit currency.
+ */
+export type SideshiftFeeBreakdown = {
+  pairRate: string, // The `/pairs` rate when the quote was made
+  quotedRate?: string, // Missing for variable orders, which lock no rate
+  rateDifference?: string, // Fraction the quoted rate falls short of `pairRate`
+  commissionRate?: string, // Only if SideShift reports it
+  settleNetworkFee?: { currencyCode: string, nativeAmount: string }
+}
+
+export type SideshiftOrderSummary = {
+  orderId: string,
+  status: SwapOrderStatusType,
+  createdDate: Date,
+  expirationDate: Date,
+  depositMethodId: string,
+  settleMethodId: string,
+  settleAddress: string
+}
+
+const MEMO_VALIDATORS: { [currencyCode: string]: (memo: string) => boolean } = {
+  // Parent currencyCode: memo check
+  BNB: memo => memo.length <= 128,
+  EOS: memo => utf8Codec.encode(memo).length <= 256,
+  HBAR: memo => memo.length <= 100,
+  TLOS: memo => utf8Codec.encode(memo).length <= 256,
+  XLM: memo => utf8Codec.encode(memo).length <= 28,
+  XRP: memo => /^\d{1,10}$/.test(memo) && Number(memo) <= 4294967295
+}
+
+const DEPOSIT_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // SideShift deposit status: normalized order status
+  pending: 'pending',
+  settling: 'settling',
+  settled: 'settled',
+  refund: 'refunding',
+  refunding: 'refunding',
+  refunded: 'refunded'
+}
+
+export type SideshiftDenial =
+  | 'geoRestriction'
+  | 'noVerification'
+  | 'vpnDetected'
+  | 'methodRestricted'
+  | 'unknown'
+
+export type SideshiftMethods = {
+  [methodId: string]: { asset: string, network: string, enabled: boolean }
+}
+
+export type SideshiftFacts = {
+  depositMethods: SideshiftMethods,
+  settleMethods: SideshiftMethods
+}
+
+type FactsCache = {
+  facts: SideshiftFacts,
+  timestamp: number
+}
+
+type AbandonedOrders = {
+  [orderId: string]: { depositAddress: string, timestamp: number }
+}
+
+type SideshiftAddress = {
+  address: string,
+  memo?: string
+}
+
+// Wallets on memo chains may hand back a tag along with the address:
+type SideshiftReceiveAddress = EdgeReceiveAddress & {
+  uniqueIdentifier?: string
+}
+
+// Lightning-capable wallets can issue BOLT11 invoices,
+// and their `makeSpend` accepts an invoice as the target address:
+type LightningMethods = {
+  +makeLightningInvoice?: (nativeAmount: string) => Promise<string>
+}
+
+// Callers may attach explicit memos to the swap request:
+type SideshiftMemos = {
+  settleMemo?: string,
+  refundMemo?: string
+}
+
 async function getAddress(
   wallet: EdgeCurrencyWallet,
-  currencyCode: string
+  currencyCode: string,
+  requestMemo?: string
+): Promise<SideshiftAddress> {
+  const addressInfo: SideshiftReceiveAddress = (await wallet.getReceiveAddress({
+    currencyCode
+  }): any)
+  const address = addressInfo.segwitAddress ?? addressInfo.publicAddress
+  const memo = requestMemo ?? addressInfo.uniqueIdentifier
+
+  if (memo == null || memo === '') return { address }
+  checkMemo(wallet, memo)
+  return { address, memo }
+}
+
+function checkMemo(wallet: EdgeCurrencyWallet, memo: string) {
+  const { currencyCode } = wallet.currencyInfo
+  const isValid = MEMO_VALIDATORS[currencyCode]
+
+  if (isValid == null) {
+    throw new Error(`SideShift.ai: ${currencyCode} does not support memos`)
+  }
+  if (!isValid(memo)) {
+    throw new Error(`SideShift.ai: Invalid ${currencyCode} memo ${memo}`)
+  }
+}
+
+function isLightningWallet(wallet: EdgeCurrencyWallet): boolean {
+  const methods: LightningMethods = wallet.otherMethods
+  return methods != null && typeof methods.makeLightningInvoice === 'function'
+}
+
+async function makeLightningInvoice(
+  wallet: EdgeCurrencyWallet,
+  nativeAmount: string
 ): Promise<string> {
-  const addressInfo = await wallet.getReceiveAddress({ currencyCode })
-  return addressInfo.segwitAddress ?? addressInfo.publicAddress
+  const methods: LightningMethods = wallet.otherMethods
+  if (methods.makeLightningInvoice == null) {
+    throw new Error('SideShift.ai: Wallet cannot create Lightning invoices')
+  }
+  return methods.makeLightningInvoice(nativeAmount)
+}
+
+/**
+ * Finds the SideShift method for a currency on the wallet's chain,
+ * so USDT on Tron and USDT on Ethereum get different method ID's.
+ * Lightning-capable wallets prefer Lightning where SideShift offers it.
+ */
+function getMethodId(
+  methods: SideshiftMethods,
+  wallet: EdgeCurrencyWallet,
+  currencyCode: string
+): string | void {
+  const currency = getProviderCurrency(pluginId, wallet, currencyCode)
+  if (currency == null) return
+  const asset = currency.currencyCode.toLowerCase()
+  const networks = isLightningWallet(wallet)
+    ? [LIGHTNING_NETWORK, currency.network]
+    : [currency.network]
+
+  for (const network of networks) {
+    const methodId = Object.keys(methods).find(
+      id =>
+        methods[id].asset === asset &&
+        methods[id].network === network &&
+        methods[id].enabled
+    )
+    if (methodId != null) return methodId
+  }
 }
 
-function getSafeCurrencyCode(request: EdgeSwapRequest) {
-  const { fromCurrencyCode, toCurrencyCode } = request
+function getMethodIds(facts: SideshiftFacts, request: EdgeSwapRequest) {
+  const { fromCurrencyCode, fromWallet, toCurrencyCode, toWallet } = request
 
-  const safeFromCurrencyCode =
-    CURRENCY_CODE_TRANSCRIPTION[fromCurrencyCode] ||
-    fromCurrencyCode.toLowerCase()
+  const depositMethodId = getMethodId(
+    facts.depositMethods,
+    fromWallet,
+    fromCurrencyCode
+  )
+  const settleMethodId = getMethodId(
+    facts.settleMethods,
+    toWallet,
+    toCurrencyCode
+  )
 
-  const safeToCurrencyCode =
-    CURRENCY_CODE_TRANSCRIPTION[toCurrencyCode] || toCurrencyCode.toLowerCase()
+  if (depositMethodId == null || settleMethodId == null) {
+    throw new SwapCurrencyError(swapInfo, fromCurrencyCode, toCurrencyCode)
+  }
 
-  return { safeFromCurrencyCode, safeToCurrencyCode }
+  return {
+    depositMethodId,
+    settleMethodId,
+    depositLightning:
+      facts.depositMethods[depositMethodId].network === LIGHTNING_NETWORK,
+    settleLightning:
+      facts.settleMethods[settleMethodId].network === LIGHTNING_NETWORK
+  }
 }
 
 async function checkQuoteError(
@@ -86,102 +293,472 @@ async function checkQuoteError(
     throw new SwapCurrencyError(swapInfo, fromCurrencyCode, toCurrencyCode)
   }
 
-  if (/country-blocked/i.test(quoteErrorMessage)) {
-    throw new SwapPermissionError(swapInfo, 'geoRestriction')
+  if (
+    /country-blocked|access denied|not allowed|blocked/i.test(quoteErrorMessage)
+  ) {
+    throw new SideshiftPermissionError(getDenial(quoteErrorMessage))
+  }
+  throw new SideshiftRefusalError(quoteErrorMessage)
+}
+
+function getDenial(message: string): SideshiftDenial {
+  if (/country|geo/i.test(message)) return 'geoRestriction'
+  if (/kyc|verif/i.test(message)) return 'noVerification'
+  if (/vpn|proxy/i.test(message)) return 'vpnDetected'
+  if (/method/i.test(message)) return 'methodRestricted'
+  return 'unknown'
+}
+
+/**
+ * The core's permission reasons do not cover every SideShift denial,
+ * so this also carries the specific SideShift reason.
+ */
+export class SideshiftPermissionError extends SwapPermissionError {
+  +denial: SideshiftDenial
+
+  constructor(denial: SideshiftDenial) {
+    super(
+      swapInfo,
+      denial === 'geoRestriction' || denial === 'noVerification'
+        ? denial
+        : undefined
+    )
+    this.denial = denial
+  }
+}
+
+/**
+ * SideShift turned down a quote or order for a reason we don't map
+ * onto a swap error, such as fixed rates being unavailable.
+ */
+class SideshiftRefusalError extends Error {
+  constructor(message: string) {
+    super(`SideShift.ai error ${message}`)
+    this.name = 'SideshiftRefusalError'
+  }
+}
+
+/**
+ * Describes a failed SideShift HTTP request,
+ * so callers can tell network trouble apart from rejected swaps.
+ */
+export class SideshiftApiError extends HttpError {
+  +endpoint: string
+  +sideshiftMessage: string | void
+
+  constructor(error: HttpError, endpoint: string, sideshiftMessage?: string) {
+    super(error.status, error.url, error.body)
+    this.message = `SideShift.ai ${endpoint} failed with ${
+      error.status === 0 ? 'a timeout' : `status ${error.status}`
+    }${sideshiftMessage != null ? `: ${sideshiftMessage}` : ''}`
+    this.name = 'SideshiftApiError'
+    this.endpoint = endpoint
+    this.sideshiftMessage = sideshiftMessage
   }
-  throw new Error(`SideShift.ai error ${quoteErrorMessage}`)
 }
 
-const createSideshiftApi = (baseUrl: string, fetch: EdgeFetchFunction) => {
+export type SideshiftApiOptions = {
+  log?: EdgeLog,
+  secret?: string,
+  timeoutMs?: number,
+  maxRetries?: number
+}
+
+export const createSideshiftApi = (
+  baseUrl: string,
+  io: EdgeIo,
+  opts: SideshiftApiOptions = {}
+) => {
+  const { log, secret, timeoutMs, maxRetries } = opts
+
+  const http = makeHttpClient(io, {
+    // The account secret scopes orders to the integrator's account:
+    headers: secret != null ? { 'x-sideshift-secret': secret } : {},
+    log,
+    maxRetries,
+    secrets: [secret],
+    timeoutMs
+  })
+
   async function request<R>(
     method: 'GET' | 'POST',
     path: string,
-    body: ?{}
+    body?: {},
+    signal?: AbortSignal
   ): Promise<R> {
     const url = `${baseUrl}${path}`
-
-    const reply = await (method === 'GET'
-      ? fetch(url)
-      : fetch(url, {
-          method,
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(body)
-        }))
-
     try {
-      return await reply.json()
+      return method === 'GET'
+        ? await http.get<R>(url, { signal })
+        : await http.post<R>(url, body, { signal })
     } catch (e) {
-      throw new Error(`SideShift.ai returned error code ${reply.status}`)
+      if (!(e instanceof HttpError)) throw e
+
+      // SideShift explains rejected quotes & orders in the body,
+      // which the callers turn into swap errors:
+      const rejection = asMaybeError(getRejectionBody(e))
+      if (rejection != null) return (rejection: any)
+
+      // Failed requests may still explain themselves:
+      const error = asMaybeError(e.body)
+      throw new SideshiftApiError(
+        e,
+        `${method} ${path.split('?')[0]}`,
+        error != null ? error.error.message : undefined
+      )
     }
   }
 
   return {
-    get: <R>(path: string): Promise<R> => request<R>('GET', path),
-    post: <R>(path: string, body: {}): Promise<R> =>
-      request<R>('POST', path, body)
+    get: <R>(path: string, signal?: AbortSignal): Promise<R> =>
+      request<R>('GET', path, undefined, signal),
+    post: <R>(path: string, body: {}, signal?: AbortSignal): Promise<R> =>
+      request<R>('POST', path, body, signal)
   }
 }
 
-const createFetchSwapQuote = (api: SideshiftApi, affiliateId: string) =>
-  async function fetchSwapQuote(
-    request: EdgeSwapRequest
-  ): Promise<EdgeSwapQuote> {
-    const [depositAddress, settleAddress] = await Promise.all([
-      getAddress(request.fromWallet, request.fromCurrencyCode),
-      getAddress(request.toWallet, request.toCurrencyCode)
-    ])
+/**
+ * Loads the SideShift coin & method catalog,
+ * keeping a copy in memory and on disk until it goes stale.
+ */
+export const createFetchFacts = (
+  api: SideshiftApi,
+  opts: EdgeCorePluginOptions
+) => {
+  const { log, pluginDisklet } = opts
+  let cache: FactsCache | void
 
-    const { safeFromCurrencyCode, safeToCurrencyCode } = getSafeCurrencyCode(
-      request
-    )
+  return async function fetchFacts(
+    signal?: AbortSignal
+  ): Promise<SideshiftFacts> {
+    if (cache == null) {
+      try {
+        cache = asFactsCache(
+          JSON.parse(await pluginDisklet.getText(FACTS_FILE))
+        )
+      } catch (e) {
+        // No usable catalog on disk yet
+      }
+    }
+    if (cache != null && Date.now() - cache.timestamp < FACTS_TTL_MS) {
+      return cache.facts
+    }
 
-    const rate = asRate(
-      await api.get<typeof asRate>(
-        `/pairs/${safeFromCurrencyCode}/${safeToCurrencyCode}`
+    let facts: SideshiftFacts
+    try {
+      facts = asFacts(await api.get<typeof asFacts>('/facts', signal))
+    } catch (e) {
+      // A stale catalog beats no catalog:
+      if (cache == null) throw e
+      log.warn(`Using stale SideShift.ai facts: ${e}`)
+      return cache.facts
+    }
+
+    cache = { facts, timestamp: Date.now() }
+    await pluginDisklet
+      .setText(FACTS_FILE, JSON.stringify(cache))
+      .catch(e => log.warn(`Could not save SideShift.ai facts: ${e}`))
+    return facts
+  }
+}
+
+/**
+ * Asks SideShift whether this user may trade,
+ * remembering the answer for a while.
+ */
+const createCheckPermissions = (api: SideshiftApi) => {
+  let cache: { permissions: Permission, timestamp: number } | void
+
+  return async function checkPermissions(signal?: AbortSignal): Promise<void> {
+    if (cache == null || Date.now() - cache.timestamp >= PERMISSIONS_TTL_MS) {
+      const permissions = asPermissions(
+        await api.get<Permission>('/permissions', signal)
       )
-    )
+      cache = { permissions, timestamp: Date.now() }
+    }
 
-    if (rate.error) {
-      throw new SwapCurrencyError(
-        swapInfo,
-        request.fromCurrencyCode,
-        request.toCurrencyCode
+    const { createOrder, createQuote, reason } = cache.permissions
+    if (!createOrder || !createQuote) {
+      // SideShift only explains some denials, and most are geographic:
+      throw new SideshiftPermissionError(
+        reason != null ? getDenial(reason) : 'geoRestriction'
       )
     }
+  }
+}
 
-    const permissions = asPermissions(await api.get<Permission>('/permissions'))
+/**
+ * Cancels orders the user backed out of,
+ * and remembers them so a late deposit can be flagged.
+ */
+const createAbandonedOrders = (
+  api: SideshiftApi,
+  opts: EdgeCorePluginOptions
+) => {
+  const { log, pluginDisklet } = opts
+  let cache: AbandonedOrders | void
 
-    if (!permissions.createOrder || !permissions.createQuote) {
-      throw new SwapPermissionError(swapInfo, 'geoRestriction')
+  async function load(): Promise<AbandonedOrders> {
+    if (cache == null) {
+      try {
+        cache = asAbandonedOrders(
+          JSON.parse(await pluginDisklet.getText(ABANDONED_FILE))
+        )
+      } catch (e) {
+        cache = {}
+      }
     }
+    return cache
+  }
 
-    const quoteAmount = await (request.quoteFor === 'from'
-      ? request.fromWallet.nativeToDenomination(
-          request.nativeAmount,
-          request.fromCurrencyCode
-        )
-      : request.toWallet.nativeToDenomination(
-          request.nativeAmount,
+  async function abandon(
+    orderId: string,
+    depositAddress: string
+  ): Promise<void> {
+    const orders = await load()
+    orders[orderId] = { depositAddress, timestamp: Date.now() }
+    for (const id of Object.keys(orders)) {
+      if (Date.now() - orders[id].timestamp > ABANDONED_TTL_MS) {
+        delete orders[id]
+      }
+    }
+    await pluginDisklet
+      .setText(ABANDONED_FILE, JSON.stringify(orders))
+      .catch(e => log.warn(`Could not save abandoned SideShift.ai order: ${e}`))
+
+    // The order expires on its own anyway, so cancelling is best-effort:
+    try {
+      const reply = await api.post<mixed>('/cancel-order', { orderId })
+      const error = asMaybeError(reply)
+      if (error != null) throw new Error(error.error.message)
+    } catch (e) {
+      log.warn(`Could not cancel SideShift.ai order ${orderId}: ${e}`)
+    }
+  }
+
+  async function isAbandoned(orderId: string): Promise<boolean> {
+    const orders = await load()
+    return orders[orderId] != null
+  }
+
+  return { abandon, isAbandoned }
+}
+
+const createFetchSwapQuote = (
+  api: SideshiftApi,
+  fetchFacts: (signal?: AbortSignal) => Promise<SideshiftFacts>,
+  checkPermissions: (signal?: AbortSignal) => Promise<void>,
+  abandonedOrders: AbandonedOrdersStore,
+  history: SwapHistory,
+  log: EdgeLog,
+  affiliateId: string,
+  requoteTolerance: string
+) => {
+  async function makeSideshiftQuote(
+    params: QuoteParams,
+    order: OrderInfo,
+    isEstimate: boolean
+  ): Promise<EdgeSwapQuote> {
+    const {
+      request,
+      depositLightning,
+      settleAddress,
+      settleMemo,
+      refundAddress,
+      refundMemo
+    } = params
+
+    const spendInfo: EdgeSpendInfo = {
+      currencyCode: request.fromCurrencyCode,
+      spendTargets: [
+        depositLightning
+          ? {
+              // The deposit address is a BOLT11 invoice for the exact amount:
+              nativeAmount: order.fromNativeAmount,
+              publicAddress: order.depositAddress.address,
+              otherParams: { lightningInvoice: order.depositAddress.address }
+            }
+          : {
+              nativeAmount: order.fromNativeAmount,
+              publicAddress: order.depositAddress.address,
+              uniqueIdentifier: order.depositAddress.memo
+            }
+      ],
+      networkFeeOption:
+        request.fromCurrencyCode.toUpperCase() === 'BTC' && !depositLightning
+          ? 'high'
+          : 'standard',
+      swapData: {
+        orderId: order.orderId,
+        orderUri: ORDER_STATUS_URL + order.orderId,
+        depositAddress: order.depositAddress.address,
+        depositNativeAmount: order.fromNativeAmount,
+        isEstimate,
+        payoutAddress: settleAddress,
+        payoutMemo: settleMemo,
+        payoutCurrencyCode: request.toCurrencyCode,
+        payoutNativeAmount: order.toNativeAmount,
+        payoutWalletId: request.toWallet.id,
+        plugin: { ...swapInfo },
+        refundAddress,
+        refundMemo
+      }
+    }
+
+    const tx = await request.fromWallet.makeSpend(spendInfo)
+    const expirationDate = new Date(order.expiresAtISO)
+
+    const feeBreakdown: SideshiftFeeBreakdown = { pairRate: params.rate.rate }
+    const { quotedRate } = order
+    if (quotedRate != null) {
+      feeBreakdown.quotedRate = quotedRate
+      feeBreakdown.rateDifference = toFixed(
+        sub('1', div(quotedRate, params.rate.rate, 16)),
+        0,
+        8
+      )
+    }
+    if (order.commissionRate != null) {
+      feeBreakdown.commissionRate = order.commissionRate
+    }
+    if (order.settleNetworkFee != null) {
+      feeBreakdown.settleNetworkFee = {
+        currencyCode: request.toCurrencyCode,
+        nativeAmount: await request.toWallet.denominationToNative(
+          order.settleNetworkFee,
           request.toCurrencyCode
-        ))
+        )
+      }
+    }
+
+    const quote = makeSwapPluginQuote(
+      request,
+      order.fromNativeAmount,
+      order.toNativeAmount,
+      tx,
+      settleAddress,
+      pluginId,
+      isEstimate,
+      expirationDate,
+      order.id,
+      { history, log }
+    )
+
+    let approved = false
+    return {
+      ...quote,
+      feeBreakdown,
+      async approve(): Promise<EdgeSwapResult> {
+        if (Date.now() < expirationDate.valueOf()) {
+          const result = await quote.approve()
+          approved = true
+          return result
+        }
+
+        // Depositing into an expired order just gets refunded:
+        const freshQuote = await refreshQuote(params, quote)
+        try {
+          const result = await freshQuote.approve()
+          approved = true
+          return result
+        } catch (e) {
+          // Don't leave the new order open either:
+          await freshQuote.close()
+          throw e
+        }
+      },
+      async close(): Promise<void> {
+        // Never cancel an order we have already paid into:
+        if (approved) return
+        await abandonedOrders.abandon(
+          order.orderId,
+          order.depositAddress.address
+        )
+      }
+    }
+  }
+
+  /**
+   * Abandons an order if the quote built on it falls through,
+   * so the order does not stay open until it expires.
+   */
+  async function abandonOnError(
+    orderId: string,
+    depositAddress: string,
+    makeQuote: () => Promise<EdgeSwapQuote>
+  ): Promise<EdgeSwapQuote> {
+    try {
+      return await makeQuote()
+    } catch (e) {
+      await abandonedOrders.abandon(orderId, depositAddress)
+      throw e
+    }
+  }
+
+  /**
+   * Re-quotes the same amounts & addresses after an order expires,
+   * as long as the new amounts stay within the tolerance.
+   */
+  async function refreshQuote(
+    params: QuoteParams,
+    quote: EdgeSwapQuote
+  ): Promise<EdgeSwapQuote> {
+    // The user is approving, so the original request can't be cancelled:
+    const freshParams = { ...params, signal: undefined }
+    const freshQuote = quote.isEstimate
+      ? await fetchVariableQuote(freshParams)
+      : await fetchFixedQuote(freshParams)
 
-    const depositAmount =
-      request.quoteFor === 'from'
-        ? quoteAmount
-        : (parseFloat(quoteAmount) / parseFloat(rate.rate))
-            .toFixed(8)
-            .toString()
+    const isWorse =
+      params.request.quoteFor === 'from'
+        ? lt(
+            freshQuote.toNativeAmount,
+            mul(quote.toNativeAmount, sub('1', requoteTolerance))
+          )
+        : gt(
+            freshQuote.fromNativeAmount,
+            mul(quote.fromNativeAmount, add('1', requoteTolerance))
+          )
 
+    if (isWorse) {
+      await freshQuote.close()
+      throw new SwapQuoteExpiredError(
+        swapInfo,
+        freshQuote.fromNativeAmount,
+        freshQuote.toNativeAmount
+      )
+    }
+    return freshQuote
+  }
+
+  async function fetchFixedQuote(params: QuoteParams): Promise<EdgeSwapQuote> {
+    const {
+      request,
+      rate,
+      depositMethodId,
+      settleMethodId,
+      settleLightning,
+      quoteAmount,
+      settleMemo,
+      refundAddress,
+      refundMemo
+    } = params
+
+    // Quote whichever side the user asked for, so SideShift does the math:
     const fixedQuoteRequest = asFixedQuoteRequest({
-      depositMethod: safeFromCurrencyCode,
-      settleMethod: safeToCurrencyCode,
-      depositAmount
+      depositMethod: depositMethodId,
+      settleMethod: settleMethodId,
+      ...(request.quoteFor === 'from'
+        ? { depositAmount: quoteAmount }
+        : { settleAmount: quoteAmount })
     })
 
     const fixedQuote = asFixedQuote(
-      await api.post<typeof asFixedQuote>('/quotes', fixedQuoteRequest)
+      await api.post<typeof asFixedQuote>(
+        '/quotes',
+        fixedQuoteRequest,
+        params.signal
+      )
     )
 
     if (fixedQuote.error) {
@@ -189,16 +766,29 @@ const createFetchSwapQuote = (api: SideshiftApi, affiliateId: string) =>
       throw new Error(`SideShift.ai error ${fixedQuote.error.message}`)
     }
 
+    // Lightning settles into a fresh invoice for the quoted amount:
+    const settleAddress = settleLightning
+      ? await makeLightningInvoice(
+          request.toWallet,
+          await request.toWallet.denominationToNative(
+            fixedQuote.settleAmount,
+            request.toCurrencyCode
+          )
+        )
+      : params.settleAddress
+
     const orderRequest = asOrderRequest({
       type: 'fixed',
       quoteId: fixedQuote.id,
       affiliateId,
       settleAddress,
-      refundAddress: depositAddress
+      settleMemo,
+      refundAddress,
+      refundMemo
     })
 
     const order = asOrder(
-      await api.post<typeof asOrder>('/orders', orderRequest)
+      await api.post<typeof asOrder>('/orders', orderRequest, params.signal)
     )
 
     if (order.error) {
@@ -206,85 +796,361 @@ const createFetchSwapQuote = (api: SideshiftApi, affiliateId: string) =>
       throw new Error(`SideShift.ai error ${order.error.message}`)
     }
 
-    const spendInfoAmount = await request.fromWallet.denominationToNative(
-      order.depositAmount,
-      request.fromCurrencyCode.toUpperCase()
-    )
+    return abandonOnError(
+      order.orderId,
+      order.depositAddress.address,
+      async () => {
+        const amountExpectedFromNative = await request.fromWallet.denominationToNative(
+          order.depositAmount,
+          request.fromCurrencyCode
+        )
+
+        const amountExpectedToNative = await request.toWallet.denominationToNative(
+          order.settleAmount,
+          request.toCurrencyCode
+        )
+
+        if (
+          request.quoteFor === 'to' &&
+          lt(amountExpectedToNative, request.nativeAmount)
+        ) {
+          throw new Error(
+            `SideShift.ai quoted ${order.settleAmount} ${request.toCurrencyCode}, less than requested`
+          )
+        }
 
-    const amountExpectedFromNative = await request.fromWallet.denominationToNative(
-      order.depositAmount,
-      request.fromCurrencyCode
+        return await makeSideshiftQuote(
+          { ...params, settleAddress },
+          {
+            id: order.id,
+            orderId: order.orderId,
+            depositAddress: order.depositAddress,
+            expiresAtISO: order.expiresAtISO,
+            fromNativeAmount: amountExpectedFromNative,
+            toNativeAmount: amountExpectedToNative,
+            quotedRate: div(order.settleAmount, order.depositAmount, 16),
+            commissionRate: order.commissionRate,
+            settleNetworkFee: order.settleNetworkFee
+          },
+          false
+        )
+      }
     )
+  }
+
+  async function fetchVariableQuote(
+    params: QuoteParams
+  ): Promise<EdgeSwapQuote> {
+    const {
+      request,
+      rate,
+      depositMethodId,
+      settleMethodId,
+      quoteAmount,
+      settleAddress,
+      settleMemo,
+      refundAddress,
+      refundMemo
+    } = params
+
+    let fromNativeAmount = request.nativeAmount
+    if (request.quoteFor === 'to') {
+      const fromMultiplier = await request.fromWallet.denominationToNative(
+        '1',
+        request.fromCurrencyCode
+      )
+      // Round the deposit up, so the estimate covers the requested amount:
+      fromNativeAmount = add(
+        div(mul(quoteAmount, fromMultiplier), rate.rate),
+        '1'
+      )
+    }
+
+    // Don't open an order the pair's limits already rule out:
+    await checkSwapLimits(swapInfo, request, {
+      min: rate.min,
+      max: rate.max,
+      fromNativeAmount
+    })
 
-    const amountExpectedToNative = await request.fromWallet.denominationToNative(
-      order.settleAmount,
-      request.toCurrencyCode
+    const orderRequest = asVariableOrderRequest({
+      type: 'variable',
+      depositMethodId,
+      settleMethodId,
+      affiliateId,
+      settleAddress,
+      settleMemo,
+      refundAddress,
+      refundMemo
+    })
+
+    const order = asVariableOrder(
+      await api.post<typeof asVariableOrder>(
+        '/orders',
+        orderRequest,
+        params.signal
+      )
     )
 
-    const isEstimate = false
+    if (order.error) {
+      await checkQuoteError(rate, request, order.error.message)
+      throw new Error(`SideShift.ai error ${order.error.message}`)
+    }
 
-    const spendInfo: EdgeSpendInfo = {
-      currencyCode: request.fromCurrencyCode,
-      spendTargets: [
-        {
-          nativeAmount: spendInfoAmount,
-          publicAddress: order.depositAddress.address,
-          uniqueIdentifier: order.depositAddress.memo
-        }
-      ],
-      networkFeeOption:
-        request.fromCurrencyCode.toUpperCase() === 'BTC' ? 'high' : 'standard',
-      swapData: {
-        orderId: order.orderId,
-        orderUri: ORDER_STATUS_URL + order.orderId,
-        isEstimate,
-        payoutAddress: settleAddress,
-        payoutCurrencyCode: safeToCurrencyCode.toUpperCase(),
-        payoutNativeAmount: amountExpectedToNative,
-        payoutWalletId: request.toWallet.id,
-        plugin: { ...swapInfo },
-        refundAddress: depositAddress
+    return abandonOnError(
+      order.orderId,
+      order.depositAddress.address,
+      async () => {
+        // Variable orders carry no amount, so check against their own limits:
+        await checkSwapLimits(swapInfo, request, {
+          min: order.depositMin,
+          max: order.depositMax,
+          fromNativeAmount
+        })
+
+        const toNativeAmount =
+          request.quoteFor === 'to'
+            ? request.nativeAmount
+            : toFixed(
+                await request.toWallet.denominationToNative(
+                  mul(quoteAmount, rate.rate),
+                  request.toCurrencyCode
+                ),
+                0,
+                0
+              )
+
+        return await makeSideshiftQuote(
+          params,
+          {
+            id: order.id,
+            orderId: order.orderId,
+            depositAddress: order.depositAddress,
+            expiresAtISO: order.expiresAtISO,
+            fromNativeAmount,
+            toNativeAmount,
+            commissionRate: order.commissionRate,
+            settleNetworkFee: order.settleNetworkFee
+          },
+          true
+        )
       }
+    )
+  }
+
+  return async function fetchSwapQuote(
+    request: EdgeSwapRequest,
+    userSettings: Object | void,
+    opts: { promoCode?: string }
+  ): Promise<EdgeSwapQuote> {
+    const { signal } = getQuoteFetchOptions(opts)
+
+    // Reject unsupported pairs before touching the wallets:
+    const facts = await fetchFacts(signal)
+    const {
+      depositMethodId,
+      settleMethodId,
+      depositLightning,
+      settleLightning
+    } = getMethodIds(facts, request)
+
+    const memos: SideshiftMemos = (request: any)
+    const [refund, settle] = await Promise.all([
+      getAddress(
+        request.fromWallet,
+        request.fromCurrencyCode,
+        memos.refundMemo
+      ),
+      getAddress(request.toWallet, request.toCurrencyCode, memos.settleMemo)
+    ])
+
+    const rate = asRate(
+      await api.get<typeof asRate>(
+        `/pairs/${depositMethodId}/${settleMethodId}`,
+        signal
+      )
+    )
+
+    if (rate.error) {
+      throw new SwapCurrencyError(
+        swapInfo,
+        request.fromCurrencyCode,
+        request.toCurrencyCode
+      )
     }
 
-    const tx = await request.fromWallet.makeSpend(spendInfo)
+    // Catch amounts outside the pair's limits before asking for a quote:
+    await checkSwapLimits(swapInfo, request, {
+      min: rate.min,
+      max: rate.max,
+      rate: rate.rate
+    })
+
+    await checkPermissions(signal)
 
-    return makeSwapPluginQuote(
+    const quoteAmount = await (request.quoteFor === 'from'
+      ? request.fromWallet.nativeToDenomination(
+          request.nativeAmount,
+          request.fromCurrencyCode
+        )
+      : request.toWallet.nativeToDenomination(
+          request.nativeAmount,
+          request.toCurrencyCode
+        ))
+
+    const params: QuoteParams = {
       request,
-      amountExpectedFromNative,
-      amountExpectedToNative,
-      tx,
-      settleAddress,
-      pluginId,
-      isEstimate,
-      new Date(order.expiresAtISO),
-      order.id
+      rate,
+      depositMethodId,
+      settleMethodId,
+      depositLightning,
+      settleLightning,
+      quoteAmount,
+      settleAddress: settle.address,
+      settleMemo: settle.memo,
+      refundAddress: refund.address,
+      refundMemo: refund.memo,
+      signal
+    }
+
+    // Lightning invoices carry a fixed amount, so variable orders cannot work:
+    const isLightning = depositLightning || settleLightning
+
+    if (
+      !isLightning &&
+      userSettings != null &&
+      userSettings.orderType === 'variable'
+    ) {
+      return fetchVariableQuote(params)
+    }
+
+    try {
+      return await fetchFixedQuote(params)
+    } catch (e) {
+      // Variable orders can still go through when SideShift refuses
+      // a fixed quote, but not over limits, currencies, or network
+      // or wallet trouble, which would sink the variable order too:
+      if (isLightning || !(e instanceof SideshiftRefusalError)) throw e
+      return fetchVariableQuote(params)
+    }
+  }
+}
+
+const createFetchOrderStatus = (
+  api: SideshiftApi,
+  abandonedOrders: AbandonedOrdersStore
+) =>
+  async function fetchOrderStatus(
+    orderId: string
+  ): Promise<SideshiftOrderStatus> {
+    const order = asOrderStatus(
+      await api.get<typeof asOrderStatus>(
+        `/orders/${encodeURIComponent(orderId)}`
+      )
+    )
+
+    if (order.error) {
+      throw new Error(`SideShift.ai error ${order.error.message}`)
+    }
+
+    const expirationDate = new Date(order.expiresAtISO)
+    return {
+      orderId,
+      status: getOrderStatus(expirationDate, order.deposits),
+      expirationDate,
+      abandoned: await abandonedOrders.isAbandoned(orderId)
+    }
+  }
+
+const createFetchOrders = (api: SideshiftApi, secret?: string) =>
+  async function fetchOrders(
+    opts: { limit?: number, offset?: number } = {}
+  ): Promise<SideshiftOrderSummary[]> {
+    const { limit = 20, offset = 0 } = opts
+    if (secret == null) {
+      throw new Error('No SideShift.ai account secret provided.')
+    }
+
+    const reply = asOrderList(
+      await api.get<typeof asOrderList>(
+        `/orders?limit=${limit}&offset=${offset}`
+      )
     )
+
+    if (!Array.isArray(reply)) {
+      throw new Error(`SideShift.ai error ${reply.error.message}`)
+    }
+
+    return reply.map(order => {
+      const expirationDate = new Date(order.expiresAtISO)
+      return {
+        orderId: order.id,
+        status: getOrderStatus(expirationDate, order.deposits),
+        createdDate: new Date(order.createdAtISO),
+        expirationDate,
+        depositMethodId: order.depositMethodId,
+        settleMethodId: order.settleMethodId,
+        settleAddress: order.settleAddress.address
+      }
+    })
   }
 
+function getOrderStatus(
+  expirationDate: Date,
+  deposits: Array<{ status: string }>
+): SwapOrderStatusType {
+  const deposit = deposits[deposits.length - 1]
+
+  // Nothing has arrived yet, so the order is either open or expired:
+  if (deposit == null) {
+    return Date.now() > expirationDate.valueOf() ? 'expired' : 'waiting'
+  }
+  return normalizeOrderStatus(DEPOSIT_STATUSES, deposit.status)
+}
+
 export function makeSideshiftPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeSwapPlugin {
-  const { io, initOptions } = opts
+  const { io, initOptions, log } = opts
 
-  const api = createSideshiftApi(SIDESHIFT_BASE_URL, io.fetchCors || io.fetch)
+  const { secret } = initOptions
 
-  const fetchSwapQuote = createFetchSwapQuote(api, initOptions.affiliateId)
+  const api = createSideshiftApi(SIDESHIFT_BASE_URL, io, { log, secret })
 
-  return {
-    swapInfo,
-    fetchSwapQuote
-  }
+  const fetchFacts = createFetchFacts(api, opts)
+  const checkPermissions = createCheckPermissions(api)
+  const abandonedOrders = createAbandonedOrders(api, opts)
+  const history = makeSwapHistory(opts)
+  const fetchSwapQuote = createFetchSwapQuote(
+    api,
+    fetchFacts,
+    checkPermissions,
+    abandonedOrders,
+    history,
+    log,
+    initOptions.affiliateId,
+    initOptions.requoteTolerance ?? DEFAULT_REQUOTE_TOLERANCE
+  )
+  const fetchOrderStatus = createFetchOrderStatus(api, abandonedOrders)
+  const fetchOrders = createFetchOrders(api, secret)
+
+  return makeCancellableSwapPlugin(
+    withSwapHistory(
+      { swapInfo, fetchSwapQuote, fetchOrderStatus, fetchOrders },
+      history
+    )
+  )
 }
 
 interface SideshiftApi {
-  get: <R>(path: string) => Promise<R>;
-  post: <R>(path: string, body: {}) => Promise<R>;
+  get: <R>(path: string, signal?: AbortSignal) => Promise<R>;
+  post: <R>(path: string, body: {}, signal?: AbortSignal) => Promise<R>;
 }
 
 interface Permission {
   createOrder: boolean;
   createQuote: boolean;
+  reason?: string | void;
 }
 
 interface Rate {
@@ -293,11 +1159,75 @@ interface Rate {
   max: string;
 }
 
+interface AbandonedOrdersStore {
+  abandon(orderId: string, depositAddress: string): Promise<void>;
+  isAbandoned(orderId: string): Promise<boolean>;
+}
+
+type QuoteParams = {
+  request: EdgeSwapRequest,
+  rate: Rate,
+  depositMethodId: string,
+  settleMethodId: string,
+  depositLightning: boolean,
+  settleLightning: boolean,
+  quoteAmount: string, // Denominated in the `quoteFor` side's currency
+  settleAddress: string,
+  settleMemo?: string,
+  refundAddress: string,
+  refundMemo?: string,
+  signal?: AbortSignal // Cancels the quote, but not a later re-quote
+}
+
+type OrderInfo = {
+  id: string,
+  orderId: string,
+  depositAddress: { address: string, memo?: string },
+  expiresAtISO: string,
+  fromNativeAmount: string,
+  toNativeAmount: string,
+  quotedRate?: string, // Fixed orders only
+  commissionRate?: string,
+  settleNetworkFee?: string // Deducted from the settle amount, if reported
+}
+
 const asError = asObject({ error: asObject({ message: asString }) })
 
+const asMaybeError = (raw: mixed) => {
+  try {
+    return asError(raw)
+  } catch (e) {}
+}
+
+const asAbandonedOrders = asMap(
+  asObject({
+    depositAddress: asString,
+    timestamp: asNumber
+  })
+)
+
+const asMethods = asMap(
+  asObject({
+    asset: asString,
+    network: asString,
+    enabled: asBoolean
+  })
+)
+
+const asFacts = asObject({
+  depositMethods: asMethods,
+  settleMethods: asMethods
+})
+
+const asFactsCache = asObject({
+  facts: asFacts,
+  timestamp: asNumber
+})
+
 const asPermissions = asObject({
   createOrder: asBoolean,
-  createQuote: asBoolean
+  createQuote: asBoolean,
+  reason: asOptional(asString)
 })
 
 const asRate = asEither(
@@ -312,12 +1242,14 @@ const asRate = asEither(
 const asFixedQuoteRequest = asObject({
   depositMethod: asString,
   settleMethod: asString,
-  depositAmount: asString
+  depositAmount: asOptional(asString),
+  settleAmount: asOptional(asString)
 })
 
 const asFixedQuote = asEither(
   asObject({
-    id: asString
+    id: asString,
+    settleAmount: asString
   }),
   asError
 )
@@ -327,7 +1259,9 @@ const asOrderRequest = asObject({
   quoteId: asString,
   affiliateId: asString,
   settleAddress: asString,
-  refundAddress: asString
+  settleMemo: asOptional(asString),
+  refundAddress: asString,
+  refundMemo: asOptional(asString)
 })
 
 const asOrder = asEither(
@@ -340,7 +1274,68 @@ const asOrder = asEither(
     id: asString,
     orderId: asString,
     settleAmount: asString,
-    depositAmount: asString
+    depositAmount: asString,
+    commissionRate: asOptional(asString),
+    settleNetworkFee: asOptional(asString)
   }),
   asError
 )
+
+const asVariableOrderRequest = asObject({
+  type: asString,
+  depositMethodId: asString,
+  settleMethodId: asString,
+  affiliateId: asString,
+  settleAddress: asString,
+  settleMemo: asOptional(asString),
+  refundAddress: asString,
+  refundMemo: asOptional(asString)
+})
+
+const asVariableOrder = asEither(
+  asObject({
+    expiresAtISO: asString,
+    depositAddress: asObject({
+      address: asString,
+      memo: asOptional(asString)
+    }),
+    id: asString,
+    orderId: asString,
+    depositMin: asString,
+    depositMax: asString,
+    commissionRate: asOptional(asString),
+    settleNetworkFee: asOptional(asString)
+  }),
+  asError
+)
+
+const asDeposits = asArray(
+  asObject({
+    status: asString
+  })
+)
+
+const asOrderStatus = asEither(
+  asObject({
+    expiresAtISO: asString,
+    deposits: asDeposits
+  }),
+  asError
+)
+
+const asOrderList = asEither(
+  asArray(
+    asObject({
+      id: asString,
+      createdAtISO: asString,
+      expiresAtISO: asString,
+      depositMethodId: asString,
+      settleMethodId: asString,
+      settleAddress: asObject({
+        address: asString
+      }),
+      deposits: asDeposits
+    })
+  ),
+  asError
+)
@@ -1,10 +1,9 @@
 // @flow
 
-import { add, div, gt, lt, mul, sub } from 'biggystring'
+import { add, div, mul, sub } from 'biggystring'
 import {
   type EdgeCorePluginOptions,
   type EdgeCurrencyWallet,
-  type EdgeFetchResponse,
   type EdgeSpendInfo,
   type EdgeSpendTarget,
   type EdgeSwapInfo,
@@ -13,11 +12,25 @@ import {
   type EdgeSwapRequest,
   type EdgeSwapResult,
   type EdgeTransaction,
-  SwapAboveLimitError,
-  SwapBelowLimitError,
   SwapCurrencyError
 } from 'edge-core-js/types'
 
+import { HttpError, makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  checkSwapLimits,
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote,
+  SwapExpiredError
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+import {
+  type SwapOrderStatus,
+  type SwapOrderStatusType,
+  normalizeOrderStatus
+} from '../swap-status.js'
+
 const pluginId = 'switchain'
 const swapInfo: EdgeSwapInfo = {
   pluginId,
@@ -28,6 +41,19 @@ const swapInfo: EdgeSwapInfo = {
 let apiUrl = 'https://api.switchain.com/rest/v1'
 const orderUri = 'https://www.switchain.com/order-status/'
 
+const ORDER_STATUSES: { [status: string]: SwapOrderStatusType } = {
+  // Switchain status: normalized order status
+  waiting: 'waiting',
+  received: 'pending',
+  confirming: 'pending',
+  exchanging: 'pending',
+  sending: 'settling',
+  complete: 'settled',
+  refunded: 'refunded',
+  failed: 'failed',
+  expired: 'expired'
+}
+
 type SwitchainResponseError = {
   error: string,
   reason?: string
@@ -56,6 +82,11 @@ type SwitchainOrderCreationResponse = {
   toAddressTag?: string
 }
 
+type SwitchainOrderStatusResponse = {
+  orderId: string,
+  status: string
+}
+
 type SwitchainOrderCreationBody = {
   pair: string,
   toAddress: string,
@@ -85,7 +116,7 @@ const dummyAddresses = {
 export function makeSwitchainPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeSwapPlugin {
-  const { initOptions, io } = opts
+  const { initOptions, io, log } = opts
 
   if (!initOptions.apiKey) {
     throw new Error('No Switchain API key provided.')
@@ -102,23 +133,20 @@ export function makeSwitchainPlugin(
       : addressInfo.publicAddress
   }
 
+  const history = makeSwapHistory(opts)
+  const http = makeHttpClient(io, {
+    headers: { Authorization: `Bearer ${initOptions.apiKey}` },
+    log,
+    secrets: [initOptions.apiKey]
+  })
+
   async function swHttpCall(
     path: string,
     method: string,
     body?: Object,
-    query?: { [string]: string }
+    query?: { [string]: string },
+    signal?: AbortSignal
   ) {
-    let requestOpts = {
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${initOptions.apiKey}`
-      },
-      method
-    }
-
-    if (body) {
-      requestOpts = { ...requestOpts, body: JSON.stringify(body) }
-    }
     let queryParams = ''
     if (query) {
       const queryStringList: Array<[string, string]> = []
@@ -128,33 +156,22 @@ export function makeSwitchainPlugin(
       queryParams = `?${new URLSearchParams(queryStringList).toString()}`
     }
     const uri = `${apiUrl}${path}${queryParams}`
-    const reply: EdgeFetchResponse = await io.fetch(uri, requestOpts)
 
-    let replyJson:
-      | SwitchainOfferResponse
-      | SwitchainOrderCreationResponse
-      | SwitchainResponseError
     try {
-      replyJson = await reply.json()
+      return method === 'POST'
+        ? await http.post(uri, body, { signal })
+        : await http.get(uri, { signal })
     } catch (e) {
-      throw new Error(
-        `Switchain ${uri} returned error code ${reply.status} (no JSON)`
-      )
-    }
-
-    if (reply.status !== 200) {
-      if (replyJson.reason) {
-        throw new Error(replyJson.reason)
+      // Switchain explains most failures in a `reason` field:
+      const reply: SwitchainResponseError | void =
+        e instanceof HttpError && e.body != null && typeof e.body === 'object'
+          ? (e.body: any)
+          : undefined
+      if (reply != null && reply.reason != null && reply.reason !== '') {
+        throw new HttpError(e.status, e.url, reply, reply.reason)
       }
-
-      throw new Error(
-        `Switchain ${uri} returned error code ${
-          replyJson.status
-        } with JSON ${JSON.stringify(replyJson)}`
-      )
+      throw e
     }
-
-    return replyJson
   }
 
   const out: EdgeSwapPlugin = {
@@ -173,7 +190,7 @@ export function makeSwitchainPlugin(
         toWallet
       } = request
       let { fromCurrencyCode } = request
-      const { promoCode } = opts
+      const { promoCode, signal } = getQuoteFetchOptions(opts)
 
       if (toCurrencyCode === fromCurrencyCode) {
         throw new SwapCurrencyError(swapInfo, fromCurrencyCode, toCurrencyCode)
@@ -187,7 +204,11 @@ export function makeSwitchainPlugin(
         apiUrl = 'https://api.switchain.com/rest/v1'
       }
 
-      const pair = `${fromCurrencyCode.toUpperCase()}-${toCurrencyCode.toUpperCase()}`
+      const { from, to } = getProviderCurrencies(swapInfo, {
+        ...request,
+        fromCurrencyCode
+      })
+      const pair = `${from.currencyCode.toUpperCase()}-${to.currencyCode.toUpperCase()}`
 
       // get wallet addresses for exchange
       const [fromAddress, toAddress] = await Promise.all([
@@ -205,7 +226,8 @@ export function makeSwitchainPlugin(
         '/offer',
         'GET',
         null,
-        queryParameters
+        queryParameters,
+        signal
       )
       const {
         maxLimit,
@@ -217,38 +239,19 @@ export function makeSwitchainPlugin(
         orderId
       } = json
 
-      // get native min max limits
-      const [nativeMax, nativeMin] = await Promise.all([
-        fromWallet.denominationToNative(maxLimit.toString(), fromCurrencyCode),
-        fromWallet.denominationToNative(minLimit.toString(), fromCurrencyCode)
-      ])
-
       // determine amount param for order creation
       const [fromAmount, toAmount] = await Promise.all([
         fromWallet.nativeToDenomination(nativeAmount, fromCurrencyCode),
         toWallet.nativeToDenomination(nativeAmount, toCurrencyCode)
       ])
 
-      const quoteForFrom = quoteFor === 'from'
       // check for min / max limits
-      if (quoteForFrom) {
-        if (lt(nativeAmount, nativeMin)) {
-          throw new SwapBelowLimitError(swapInfo, nativeMin)
-        }
-        if (gt(nativeAmount, nativeMax)) {
-          throw new SwapAboveLimitError(swapInfo, nativeMax)
-        }
-      } else {
-        const toAmountInFrom = div(toAmount, quote, 8)
-
-        if (lt(toAmountInFrom, minLimit)) {
-          throw new SwapBelowLimitError(swapInfo, nativeMin)
-        }
-
-        if (gt(toAmountInFrom, maxLimit)) {
-          throw new SwapAboveLimitError(swapInfo, nativeMax)
-        }
-      }
+      const quoteForFrom = quoteFor === 'from'
+      await checkSwapLimits(swapInfo, request, {
+        min: minLimit,
+        max: maxLimit,
+        rate: quote
+      })
 
       // order creation body
       const quoteAmount = quoteForFrom ? { fromAmount } : { toAmount }
@@ -313,6 +316,11 @@ export function makeSwitchainPlugin(
         expirationDate,
         pluginId,
         async approve(): Promise<EdgeSwapResult> {
+          // Switchain only creates the order now, so check the quote first:
+          if (Date.now() >= expirationDate.valueOf()) {
+            throw new SwapExpiredError(pluginId, expirationDate)
+          }
+
           const json: SwitchainOrderCreationResponse = await swHttpCall(
             '/order',
             'POST',
@@ -334,6 +342,8 @@ export function makeSwitchainPlugin(
             swapData: {
               orderId,
               orderUri: orderUri + orderId,
+              depositAddress: spendTarget.publicAddress,
+              depositNativeAmount: spendTarget.nativeAmount,
               isEstimate: false,
               payoutAddress: toAddress,
               payoutCurrencyCode: request.toCurrencyCode,
@@ -347,24 +357,37 @@ export function makeSwitchainPlugin(
             spendInfo
           )
 
-          const signedTransaction = await fromWallet.signTx(completeTx)
-          const broadcastedTransaction = await fromWallet.broadcastTx(
-            signedTransaction
-          )
-          await fromWallet.saveTx(signedTransaction)
-
-          return {
-            transaction: broadcastedTransaction,
-            destinationAddress: exchangeAddress,
-            orderId
-          }
+          // Checks the deposit & balance before sending:
+          return makeSwapPluginQuote(
+            request,
+            fromNativeAmount,
+            toNativeAmount,
+            completeTx,
+            exchangeAddress,
+            pluginId,
+            false,
+            expirationDate,
+            orderId,
+            { history, log }
+          ).approve()
         },
 
         async close() {}
       }
       return out
+    },
+
+    async fetchOrderStatus(orderId: string): Promise<SwapOrderStatus> {
+      const orderStatus: SwitchainOrderStatusResponse = await swHttpCall(
+        `/order/${encodeURIComponent(orderId)}`,
+        'GET'
+      )
+      return {
+        orderId,
+        status: normalizeOrderStatus(ORDER_STATUSES, orderStatus.status)
+      }
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
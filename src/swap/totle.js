@@ -3,19 +3,26 @@
 import { div, mul } from 'biggystring'
 import {
   type EdgeCorePluginOptions,
-  type EdgeLog,
   type EdgeSpendInfo,
   type EdgeSwapInfo,
   type EdgeSwapPlugin,
   type EdgeSwapQuote,
   type EdgeSwapRequest,
-  type EdgeSwapResult,
   type EdgeTransaction,
   InsufficientFundsError,
   NoAmountSpecifiedError,
   SwapCurrencyError
 } from 'edge-core-js/types'
 
+import { makeHttpClient } from '../http-helpers.js'
+import { getProviderCurrencies } from '../swap-currencies.js'
+import {
+  getQuoteFetchOptions,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
+import { makeSwapHistory, withSwapHistory } from '../swap-history.js'
+
 const pluginId = 'totle'
 const swapInfo: EdgeSwapInfo = {
   pluginId,
@@ -103,36 +110,23 @@ function checkReply(reply: Object, request: EdgeSwapRequest) {
 
 export function makeTotlePlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
   const { initOptions, io, log } = opts
-  const { fetchCors = io.fetch } = io
-
+  const history = makeSwapHistory(opts)
   const { partnerContract, apiKey } = initOptions
+  const http = makeHttpClient(io, { log, secrets: [apiKey] })
 
-  async function call(json: any) {
-    const body = JSON.stringify({
-      ...json,
-      partnerContract,
-      apiKey
-    })
-
+  async function call(json: any, signal?: AbortSignal) {
     log('call:', json)
-    const headers = {
-      'Content-Type': 'application/json'
-    }
-    const response = await fetchCors(swapUri, { method: 'POST', body, headers })
-    if (!response.ok) {
-      throw new Error(`Totle returned error code ${response.status}`)
-    }
-    const out = await response.json()
+    const out = await http.post(
+      swapUri,
+      { ...json, partnerContract, apiKey },
+      { signal }
+    )
     log('swap reply:', out)
     return out
   }
 
-  async function fetchTokens() {
-    const response = await fetchCors(tokenUri, { method: 'GET' })
-    if (!response.ok) {
-      throw new Error(`Totle returned error code ${response.status}`)
-    }
-    const json = await response.json()
+  async function fetchTokens(signal?: AbortSignal) {
+    const json = await http.get(tokenUri, { signal })
     const out = json.tokens
     log('token reply:', out)
     return out
@@ -143,12 +137,15 @@ export function makeTotlePlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
 
     async fetchSwapQuote(
       request: EdgeSwapRequest,
-      userSettings: Object | void
+      userSettings: Object | void,
+      opts: { promoCode?: string }
     ): Promise<EdgeSwapQuote> {
-      const tokens: Token[] = await fetchTokens()
+      const { signal } = getQuoteFetchOptions(opts)
+      const { from, to } = getProviderCurrencies(swapInfo, request)
+      const tokens: Token[] = await fetchTokens(signal)
 
-      const fromToken = tokens.find(t => t.symbol === request.fromCurrencyCode)
-      const toToken = tokens.find(t => t.symbol === request.toCurrencyCode)
+      const fromToken = tokens.find(t => t.symbol === from.currencyCode)
+      const toToken = tokens.find(t => t.symbol === to.currencyCode)
       if (!fromToken || !toToken || fromToken.symbol === toToken.symbol) {
         throw new SwapCurrencyError(
           swapInfo,
@@ -166,21 +163,24 @@ export function makeTotlePlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
       } = await request.toWallet.getReceiveAddress({}) //  currencyCode ?
 
       // Get the estimate from the server:
-      const reply = await call({
-        address: userFromAddress,
-        config: {
-          transactions: true
+      const reply = await call(
+        {
+          address: userFromAddress,
+          config: {
+            transactions: true
+          },
+          swap: {
+            sourceAsset: fromToken.address,
+            destinationAsset: toToken.address,
+            [request.quoteFor === 'from'
+              ? 'sourceAmount'
+              : 'destinationAmount']: request.nativeAmount,
+            // strictDestination: request.quoteFor === 'to',
+            destinationAddress: userToAddress
+          }
         },
-        swap: {
-          sourceAsset: fromToken.address,
-          destinationAsset: toToken.address,
-          [request.quoteFor === 'from'
-            ? 'sourceAmount'
-            : 'destinationAmount']: request.nativeAmount,
-          // strictDestination: request.quoteFor === 'to',
-          destinationAddress: userToAddress
-        }
-      })
+        signal
+      )
       checkReply(reply, request)
 
       const { summary, transactions }: QuoteInfo = reply.response
@@ -241,78 +241,32 @@ export function makeTotlePlugin(opts: EdgeCorePluginOptions): EdgeSwapPlugin {
         txs.push(transaction)
       }
 
-      const quote = makeTotleSwapPluginQuote(
+      // The swap transaction comes last. Token swaps send no value,
+      // so show the amount being swapped in its metadata:
+      txs[txs.length - 1].nativeAmount = `-${fromNativeAmount}`
+
+      const quote = makeSwapPluginQuote(
         request,
         fromNativeAmount,
         toNativeAmount,
         txs,
         userToAddress,
+        pluginId,
         false,
         new Date(Date.now() + expirationMs),
-        log
+        undefined,
+        {
+          history,
+          log,
+          onProgress({ step, stepCount, transaction }) {
+            log(`broadcast step ${step + 1} of ${stepCount}:`, transaction.txid)
+          }
+        }
       )
       log(quote)
       return quote
     }
   }
 
-  return out
-}
-
-function makeTotleSwapPluginQuote(
-  request: EdgeSwapRequest,
-  fromNativeAmount: string,
-  toNativeAmount: string,
-  txs: EdgeTransaction[],
-  destinationAddress: string,
-  isEstimate: boolean,
-  expirationDate?: Date,
-  log: EdgeLog
-): EdgeSwapQuote {
-  log(arguments)
-  const { fromWallet } = request
-  const swapTx = txs[txs.length - 1]
-
-  const out: EdgeSwapQuote = {
-    fromNativeAmount,
-    toNativeAmount,
-    networkFee: {
-      currencyCode: fromWallet.currencyInfo.currencyCode,
-      nativeAmount:
-        swapTx.parentNetworkFee != null
-          ? swapTx.parentNetworkFee
-          : swapTx.networkFee
-    },
-    destinationAddress,
-    pluginId,
-    expirationDate,
-    isEstimate,
-
-    async approve(): Promise<EdgeSwapResult> {
-      let swapTx
-      let index = 0
-      for (const tx of txs) {
-        const signedTransaction = await fromWallet.signTx(tx)
-        // NOTE: The swap transaction will always be the last one
-        swapTx = await fromWallet.broadcastTx(signedTransaction)
-        const lastTransactionIndex = txs.length - 1
-        // if it's the last transaction of the array then assign `nativeAmount` data
-        // (after signing and broadcasting) for metadata purposes
-        if (index === lastTransactionIndex) {
-          tx.nativeAmount = `-${fromNativeAmount}`
-        }
-        await fromWallet.saveTx(signedTransaction)
-        index++
-      }
-      if (!swapTx) throw new Error('No Totle swapTx')
-      return {
-        transaction: swapTx,
-        destinationAddress,
-        orderId: swapTx.txid
-      }
-    },
-
-    async close() {}
-  }
-  return out
+  return makeCancellableSwapPlugin(withSwapHistory(out, history))
 }
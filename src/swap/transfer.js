@@ -10,7 +10,10 @@ import {
   SwapCurrencyError
 } from 'edge-core-js/types'
 
-import { makeSwapPluginQuote } from '../swap-helpers.js'
+import {
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote
+} from '../swap-helpers.js'
 
 const pluginId = 'transfer'
 const swapInfo: EdgeSwapInfo = {
@@ -61,12 +64,16 @@ export function makeTransferPlugin(
         request.nativeAmount,
         tx,
         toAddress,
-        'transfer'
+        'transfer',
+        false,
+        undefined,
+        undefined,
+        { log }
       )
       log(quote)
       return quote
     }
   }
 
-  return out
+  return makeCancellableSwapPlugin(out)
 }
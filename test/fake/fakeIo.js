@@ -0,0 +1,160 @@
+// @flow
+
+import {
+  type EdgeCorePluginOptions,
+  type EdgeFetchOptions,
+  type EdgeFetchResponse
+} from 'edge-core-js/types'
+
+/**
+ * A recorded provider reply.
+ *
+ * The `url` matches either exactly, or ignoring the query string
+ * if the route itself has none. The optional `request` matches
+ * any subset of a JSON request body, such as a JSON-RPC method name.
+ */
+export type FakeRoute = {
+  method?: string, // Defaults to GET
+  url: string,
+  request?: Object,
+  status?: number, // Defaults to 200
+  headers?: { [name: string]: string },
+  body?: mixed // Sent as JSON
+}
+
+export type FakeCall = {
+  method: string,
+  url: string,
+  headers: { [name: string]: string },
+  body: mixed
+}
+
+export type FakePluginOptions = EdgeCorePluginOptions & {
+  calls: FakeCall[],
+  files: { [path: string]: string }
+}
+
+/**
+ * Builds plugin options whose `fetch` only replays the given routes,
+ * so the tests never touch the network.
+ * Earlier routes win, so tests can put overrides first.
+ */
+export function makeFakePluginOptions(
+  routes: FakeRoute[],
+  initOptions: Object = {}
+): FakePluginOptions {
+  const calls: FakeCall[] = []
+  const files: { [path: string]: string } = {}
+
+  async function fetch(
+    url: string,
+    opts: EdgeFetchOptions = {}
+  ): Promise<EdgeFetchResponse> {
+    const { method = 'GET', headers = {} } = opts
+    const body = parseBody(opts.body)
+    calls.push({ method, url, headers, body })
+
+    const route = routes.find(route => matchRoute(route, method, url, body))
+    if (route == null) throw new Error(`No fixture for ${method} ${url}`)
+    return makeResponse(route)
+  }
+
+  const disklet = {
+    async delete(path: string) {
+      delete files[path]
+    },
+    async getData(path: string) {
+      throw new Error('Not implemented')
+    },
+    async getText(path: string) {
+      if (files[path] == null) throw new Error(`No file ${path}`)
+      return files[path]
+    },
+    async list() {
+      const out: Object = {}
+      for (const path of Object.keys(files)) out[path] = 'file'
+      return out
+    },
+    async setData(path: string) {
+      throw new Error('Not implemented')
+    },
+    async setText(path: string, text: string) {
+      files[path] = text
+    }
+  }
+
+  const log = Object.assign(() => {}, { error() {}, warn() {} })
+
+  const io: any = { fetch, fetchCors: fetch }
+  return {
+    initOptions,
+    io,
+    log,
+    nativeIo: {},
+    pluginDisklet: disklet,
+    calls,
+    files
+  }
+}
+
+function parseBody(body: mixed): mixed {
+  if (typeof body !== 'string') return body
+  try {
+    return JSON.parse(body)
+  } catch (e) {
+    return body
+  }
+}
+
+function matchRoute(
+  route: FakeRoute,
+  method: string,
+  url: string,
+  body: mixed
+): boolean {
+  if ((route.method || 'GET') !== method) return false
+  if (route.url !== url) {
+    if (/\?/.test(route.url) || route.url !== url.split('?')[0]) return false
+  }
+  if (route.request != null) return matchSubset(route.request, body)
+  return true
+}
+
+function matchSubset(expected: mixed, actual: mixed): boolean {
+  if (expected == null || typeof expected !== 'object') {
+    return expected === actual
+  }
+  if (actual == null || typeof actual !== 'object') return false
+  for (const key of Object.keys(expected)) {
+    if (!matchSubset(expected[key], actual[key])) return false
+  }
+  return true
+}
+
+function makeResponse(route: FakeRoute): EdgeFetchResponse {
+  const { status = 200, headers = {}, body } = route
+  const text = body === undefined ? '' : JSON.stringify(body)
+
+  return {
+    headers: {
+      forEach(callback) {
+        for (const name of Object.keys(headers)) {
+          callback(headers[name], name, this)
+        }
+      },
+      get: name => headers[name] ?? null,
+      has: name => headers[name] != null
+    },
+    ok: status >= 200 && status < 300,
+    status,
+    async arrayBuffer() {
+      throw new Error('Not implemented')
+    },
+    async json() {
+      return JSON.parse(text)
+    },
+    async text() {
+      return text
+    }
+  }
+}
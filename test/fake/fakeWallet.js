@@ -0,0 +1,168 @@
+// @flow
+
+import { div, mul } from 'biggystring'
+import {
+  type EdgeCurrencyWallet,
+  type EdgeMetaToken,
+  type EdgeSpendInfo,
+  type EdgeTransaction
+} from 'edge-core-js/types'
+
+// Decimal places for every currency the tests use.
+// Like the core, wallets convert any currency, not just their own:
+const DECIMALS: { [currencyCode: string]: number } = {
+  BTC: 8,
+  DAI: 18,
+  ETH: 18,
+  LTC: 8,
+  USDT: 6,
+  XRP: 6
+}
+
+export type FakeWalletOptions = {
+  pluginId: string,
+  currencyCode: string,
+
+  // Overrides for the receive address:
+  address?: {
+    publicAddress?: string,
+    segwitAddress?: string,
+    legacyAddress?: string
+  },
+
+  // Balances by currency code, defaulting to plenty of everything:
+  balances?: { [currencyCode: string]: string },
+
+  metaTokens?: EdgeMetaToken[],
+  otherMethods?: Object,
+  networkFee?: string,
+  parentNetworkFee?: string
+}
+
+export type FakeWallet = EdgeCurrencyWallet & {
+  spends: EdgeSpendInfo[],
+  broadcasts: EdgeTransaction[],
+  saves: EdgeTransaction[]
+}
+
+/**
+ * Just enough of a currency wallet for the swap plugins to quote & spend.
+ */
+export function makeFakeWallet(opts: FakeWalletOptions): FakeWallet {
+  const {
+    pluginId,
+    currencyCode,
+    address = {},
+    balances = {},
+    metaTokens = [],
+    otherMethods = {},
+    networkFee = '1000',
+    parentNetworkFee
+  } = opts
+
+  function getMultiplier(code: string): string {
+    return '1' + '0'.repeat(DECIMALS[code] ?? 0)
+  }
+
+  const spends: EdgeSpendInfo[] = []
+  const broadcasts: EdgeTransaction[] = []
+  const saves: EdgeTransaction[] = []
+
+  const wallet = {
+    id: `${pluginId}-wallet`,
+    currencyInfo: { pluginId, currencyCode, metaTokens },
+    otherMethods,
+    spends,
+    broadcasts,
+    saves,
+
+    async getReceiveAddress(opts: { currencyCode?: string } = {}) {
+      return {
+        publicAddress: `${pluginId}-address`,
+        ...address,
+        metadata: {},
+        nativeAmount: '0'
+      }
+    },
+
+    getBalance(opts: { currencyCode?: string } = {}): string {
+      const { currencyCode: code = currencyCode } = opts
+      return balances[code] ?? mul('1000', getMultiplier(code))
+    },
+
+    async nativeToDenomination(
+      nativeAmount: string,
+      code: string
+    ): Promise<string> {
+      const multiplier = getMultiplier(code)
+      return div(nativeAmount, multiplier, multiplier.length)
+    },
+
+    async denominationToNative(amount: string, code: string): Promise<string> {
+      return mul(amount, getMultiplier(code))
+    },
+
+    async makeSpend(spendInfo: EdgeSpendInfo): Promise<EdgeTransaction> {
+      spends.push(spendInfo)
+      const [target] = spendInfo.spendTargets
+      const txCurrencyCode = spendInfo.currencyCode || currencyCode
+      return {
+        currencyCode: txCurrencyCode,
+        nativeAmount: `-${target.nativeAmount || '0'}`,
+        networkFee,
+        parentNetworkFee,
+        blockHeight: 0,
+        date: 0,
+        txid: '',
+        signedTx: '',
+        ourReceiveAddresses: [],
+        spendTargets: spendInfo.spendTargets.map(target => ({
+          currencyCode: txCurrencyCode,
+          nativeAmount: target.nativeAmount || '0',
+          publicAddress: target.publicAddress || '',
+          uniqueIdentifier: target.uniqueIdentifier
+        })),
+        swapData: spendInfo.swapData,
+        otherParams: {}
+      }
+    },
+
+    async signTx(tx: EdgeTransaction): Promise<EdgeTransaction> {
+      return { ...tx, signedTx: 'signed' }
+    },
+
+    async broadcastTx(tx: EdgeTransaction): Promise<EdgeTransaction> {
+      const out = { ...tx, txid: `txid-${broadcasts.length}` }
+      broadcasts.push(out)
+      return out
+    },
+
+    async saveTx(tx: EdgeTransaction): Promise<void> {
+      saves.push(tx)
+    }
+  }
+
+  return (wallet: any)
+}
+
+export const makeBtcWallet = (opts?: $Shape<FakeWalletOptions>) =>
+  makeFakeWallet({
+    pluginId: 'bitcoin',
+    currencyCode: 'BTC',
+    ...opts
+  })
+
+export const makeEthWallet = (opts?: $Shape<FakeWalletOptions>) =>
+  makeFakeWallet({
+    pluginId: 'ethereum',
+    currencyCode: 'ETH',
+    metaTokens: [
+      {
+        currencyCode: 'USDT',
+        currencyName: 'Tether',
+        denominations: [{ name: 'USDT', multiplier: '1000000' }],
+        contractAddress: '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+      }
+    ],
+    ...opts
+  })
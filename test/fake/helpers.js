@@ -0,0 +1,14 @@
+// @flow
+
+/**
+ * Resolves to the error a promise rejects with,
+ * or fails if the promise succeeds.
+ */
+export async function catchError(promise: Promise<mixed>): Promise<any> {
+  try {
+    await promise
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected an error')
+}
@@ -0,0 +1,136 @@
+// @flow
+/* global AbortController */
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  getRejectionBody,
+  HttpError,
+  makeHttpClient
+} from '../src/http-helpers.js'
+import { makeFakePluginOptions } from './fake/fakeIo.js'
+import { catchError } from './fake/helpers.js'
+
+const API = 'https://example.com/api'
+const noDelay = { 'Retry-After': '0' }
+
+describe('makeHttpClient', function () {
+  it('sends & parses JSON', async function () {
+    const { calls, io } = makeFakePluginOptions([
+      { method: 'POST', url: `${API}/echo`, body: { ok: true } }
+    ])
+    const http = makeHttpClient(io, { headers: { 'x-key': 'secret' } })
+
+    const reply = await http.post(`${API}/echo`, { amount: '1' })
+    expect(reply).deep.equals({ ok: true })
+    expect(calls[0].body).deep.equals({ amount: '1' })
+    expect(calls[0].headers).deep.equals({
+      'Content-Type': 'application/json',
+      'x-key': 'secret'
+    })
+  })
+
+  it('retries rate-limited GET requests', async function () {
+    const fake = makeFakePluginOptions([
+      { url: `${API}/busy`, status: 429, headers: noDelay },
+      { url: `${API}/ready`, body: { ok: true } }
+    ])
+    let attempts = 0
+    const io: any = {
+      fetch: (url, opts) =>
+        fake.io.fetch(++attempts < 3 ? `${API}/busy` : `${API}/ready`, opts)
+    }
+
+    const reply = await makeHttpClient(io).get(`${API}/thing`)
+    expect(reply).deep.equals({ ok: true })
+    expect(attempts).equals(3)
+  })
+
+  it('gives up after too many retries', async function () {
+    const { calls, io } = makeFakePluginOptions([
+      { url: `${API}/down`, status: 503, headers: noDelay, body: 'Down' }
+    ])
+    const error = await catchError(
+      makeHttpClient(io, { maxRetries: 2 }).get(`${API}/down`)
+    )
+    expect(error).instanceOf(HttpError)
+    expect(error).to.have.property('status', 503)
+    expect(calls.length).equals(3)
+  })
+
+  it('never retries POST requests', async function () {
+    const { calls, io } = makeFakePluginOptions([
+      { method: 'POST', url: `${API}/order`, status: 500, headers: noDelay }
+    ])
+    const error = await catchError(makeHttpClient(io).post(`${API}/order`, {}))
+    expect(error).to.have.property('status', 500)
+    expect(calls.length).equals(1)
+  })
+
+  it('exposes rejection bodies', async function () {
+    const { io } = makeFakePluginOptions([
+      { url: `${API}/bad`, status: 400, body: { error: 'Bad pair' } },
+      { url: `${API}/busy`, status: 429, body: { error: 'Slow down' } }
+    ])
+    const http = makeHttpClient(io, { maxRetries: 0 })
+
+    const bad = await catchError(http.get(`${API}/bad`))
+    expect(getRejectionBody(bad)).deep.equals({ error: 'Bad pair' })
+    const busy = await catchError(http.get(`${API}/busy`))
+    expect(getRejectionBody(busy)).equals(undefined)
+  })
+
+  it('redacts secrets from errors', async function () {
+    const { io } = makeFakePluginOptions([
+      { url: `${API}/rates`, status: 401, body: { key: 'abc/123' } }
+    ])
+    const http = makeHttpClient(io, { secrets: ['abc/123', undefined] })
+
+    const error = await catchError(http.get(`${API}/rates?key=abc%2F123`))
+    expect(error.url).equals(`${API}/rates?key=***`)
+    expect(error.message).not.includes('abc')
+    expect(error.body).deep.equals({ key: '***' })
+    expect(http.redact('key abc/123')).equals('key ***')
+  })
+
+  it('aborts requests', async function () {
+    const { calls, io } = makeFakePluginOptions([
+      { url: `${API}/busy`, status: 429, headers: { 'Retry-After': '5' } }
+    ])
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 10)
+
+    const error = await catchError(
+      makeHttpClient(io).get(`${API}/busy`, { signal: controller.signal })
+    )
+    expect(error.message).equals(`${API}/busy failed with an abort`)
+    expect(calls.length).equals(1)
+
+    // Already-aborted requests never go out:
+    await catchError(
+      makeHttpClient(io).get(`${API}/busy`, { signal: controller.signal })
+    )
+    expect(calls.length).equals(1)
+  })
+
+  it('times out', async function () {
+    const io: any = { fetch: () => new Promise(resolve => {}) }
+
+    const error = await catchError(
+      makeHttpClient(io, { timeoutMs: 10 }).get(`${API}/slow`)
+    )
+    expect(error).to.have.property('status', 0)
+    expect(error.message).equals(`${API}/slow failed with a timeout`)
+  })
+
+  it('times out while reading the reply', async function () {
+    const reply = { ok: true, status: 200, text: () => new Promise(() => {}) }
+    const io: any = { fetch: async () => reply }
+
+    const error = await catchError(
+      makeHttpClient(io, { timeoutMs: 10 }).get(`${API}/slow`)
+    )
+    expect(error.message).equals(`${API}/slow failed with a timeout`)
+  })
+})
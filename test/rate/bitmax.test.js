@@ -0,0 +1,37 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeBitMaxPlugin } from '../../src/rate/bitmax.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/bitmax.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  return makeBitMaxPlugin(makeFakePluginOptions([...overrides, ...fixtures]))
+}
+
+describe('bitmax', function () {
+  it('returns the FIO price', async function () {
+    const pairs = await setup().fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+      { fromCurrency: 'FIO', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'FIO', toCurrency: 'USDT', rate: 0.19 }
+    ])
+  })
+
+  it('skips missing data', async function () {
+    const plugin = setup([
+      {
+        url: 'https://bitmax.io/api/pro/v1/ticker?symbol=FIO/USDT',
+        body: { code: 100, reason: 'DATA_NOT_AVAILABLE' }
+      }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'FIO', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
@@ -0,0 +1,34 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeCoinbasePlugin } from '../../src/rate/coinbase.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/coinbase.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  return makeCoinbasePlugin(makeFakePluginOptions([...overrides, ...fixtures]))
+}
+
+describe('coinbase', function () {
+  it('returns USD rates', async function () {
+    const pairs = await setup().fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+      { fromCurrency: 'XMR', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'iso:USD', toCurrency: 'BTC', rate: 0.000025 }
+    ])
+  })
+
+  it('survives a malformed reply', async function () {
+    const plugin = setup([
+      { url: 'https://api.coinbase.com/v2/exchange-rates', body: {} }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
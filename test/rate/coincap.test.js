@@ -0,0 +1,46 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeCoincapPlugin } from '../../src/rate/coincap.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/coincap.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures])
+  return { opts, plugin: makeCoincapPlugin(opts) }
+}
+
+describe('coincap', function () {
+  it('returns USD rates', async function () {
+    const { opts, plugin } = setup()
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+      { fromCurrency: 'ETH', toCurrency: 'iso:USD' },
+      { fromCurrency: 'XMR', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD', rate: 40000 },
+      { fromCurrency: 'ETH', toCurrency: 'iso:USD', rate: 2500 }
+    ])
+    expect(opts.calls[1].url).equals(
+      'https://api.coincap.io/v2/assets?ids=bitcoin,ethereum'
+    )
+  })
+
+  it('survives an error reply', async function () {
+    const { plugin } = setup([
+      {
+        url: 'https://api.coincap.io/v2/assets',
+        status: 429,
+        headers: { 'Retry-After': '0' },
+        body: { error: 'Too many requests', timestamp: 1621468800000 }
+      }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
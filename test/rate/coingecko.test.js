@@ -0,0 +1,43 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeCoinGeckoPlugin } from '../../src/rate/coingecko.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/coingecko.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures])
+  return { opts, plugin: makeCoinGeckoPlugin(opts) }
+}
+
+describe('coingecko', function () {
+  it('returns USD rates', async function () {
+    const { opts, plugin } = setup()
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+      { fromCurrency: 'FIO', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD', rate: 40000 },
+      { fromCurrency: 'FIO', toCurrency: 'iso:USD', rate: 0.19 }
+    ])
+    expect(opts.calls[0].url).equals(
+      'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin,fio-protocol&vs_currencies=usd'
+    )
+  })
+
+  it('survives a malformed reply', async function () {
+    const { plugin } = setup([
+      {
+        url: 'https://api.coingecko.com/api/v3/simple/price',
+        body: { bitcoin: { usd: 'lots' } }
+      }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
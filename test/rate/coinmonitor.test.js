@@ -0,0 +1,36 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeCoinmonitorPlugin } from '../../src/rate/coinmonitor.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/coinmonitor.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  return makeCoinmonitorPlugin(
+    makeFakePluginOptions([...overrides, ...fixtures])
+  )
+}
+
+describe('coinmonitor', function () {
+  it('returns the BTC/ARS rate', async function () {
+    const pairs = await setup().fetchRates([
+      { fromCurrency: 'ETH', toCurrency: 'iso:ARS' },
+      { fromCurrency: 'BTC', toCurrency: 'iso:ARS' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'BTC', toCurrency: 'iso:ARS', rate: 6000000.5 }
+    ])
+  })
+
+  it('survives a malformed reply', async function () {
+    const plugin = setup([
+      { url: 'https://ar.coinmonitor.info/api/v3/btc_ars', body: {} }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:ARS' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
@@ -0,0 +1,29 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeCompoundPlugin } from '../../src/rate/compound.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/compound.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  return makeCompoundPlugin(makeFakePluginOptions([...overrides, ...fixtures]))
+}
+
+describe('compound', function () {
+  it('returns cToken exchange rates', async function () {
+    const pairs = await setup().fetchRates([])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'CDAI', toCurrency: 'DAI', rate: 0.0212 },
+      { fromCurrency: 'CETH', toCurrency: 'ETH', rate: 0.02 }
+    ])
+  })
+
+  it('returns nothing for an empty reply', async function () {
+    const plugin = setup([
+      { url: 'https://api.compound.finance/api/v2/ctoken', body: {} }
+    ])
+    expect(await plugin.fetchRates([])).deep.equals([])
+  })
+})
@@ -0,0 +1,46 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeCurrencyconverterapiPlugin } from '../../src/rate/currencyconverterapi.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/currencyconverterapi.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  return { opts, plugin: makeCurrencyconverterapiPlugin(opts) }
+}
+
+describe('currencyconverterapi', function () {
+  it('returns fiat rates', async function () {
+    const { opts, plugin } = setup()
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:EUR' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'iso:USD', toCurrency: 'iso:EUR', rate: 0.82 },
+      { fromCurrency: 'iso:USD', toCurrency: 'iso:IMP', rate: 0.71 },
+      { fromCurrency: 'iso:USD', toCurrency: 'iso:IRR', rate: 42105 }
+    ])
+    expect(opts.calls[0].url).equals(
+      'https://api.currconv.com/api/v7/convert?q=USD_EUR,USD_IMP,USD_IRR&compact=ultra&apiKey=key'
+    )
+  })
+
+  it('survives an error reply', async function () {
+    const { plugin } = setup([
+      {
+        url: 'https://api.currconv.com/api/v7/convert',
+        status: 400,
+        body: { status: 400, error: 'Invalid API key.' }
+      }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:EUR' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
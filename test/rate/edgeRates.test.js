@@ -0,0 +1,39 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeEdgeRatesPlugin } from '../../src/rate/edgeRates.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/edgeRates.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  return makeEdgeRatesPlugin(makeFakePluginOptions([...overrides, ...fixtures]))
+}
+
+describe('edgeRates', function () {
+  it('returns fiat rates', async function () {
+    const pairs = await setup().fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+      { fromCurrency: 'iso:USD', toCurrency: 'iso:EUR' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'iso:USD', toCurrency: 'iso:EUR', rate: 0.82 }
+    ])
+  })
+
+  it('survives a malformed reply', async function () {
+    const plugin = setup([
+      {
+        url: 'https://rates1.edge.app/v1/exchangeRate?currency_pair=USD_EUR',
+        status: 500,
+        headers: { 'Retry-After': '0' },
+        body: { error: 'Internal error' }
+      }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'iso:USD', toCurrency: 'iso:EUR' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
@@ -0,0 +1,49 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeNomicsPlugin } from '../../src/rate/nomics.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/nomics.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  return { opts, plugin: makeNomicsPlugin(opts) }
+}
+
+describe('nomics', function () {
+  it('returns USD rates, skipping dead coins', async function () {
+    const { opts, plugin } = setup()
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+      { fromCurrency: 'ETH', toCurrency: 'iso:USD' },
+      { fromCurrency: 'DEAD', toCurrency: 'iso:USD' },
+      { fromCurrency: 'iso:EUR', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD', rate: 40000 },
+      { fromCurrency: 'ETH', toCurrency: 'iso:USD', rate: 2500 }
+    ])
+    expect(opts.calls[0].url).equals(
+      'https://api.nomics.com/v1/currencies/ticker?key=key&ids=BTC,ETH,DEAD&convert=USD'
+    )
+  })
+
+  it('survives rate limiting', async function () {
+    const { plugin } = setup([
+      {
+        url: 'https://api.nomics.com/v1/currencies/ticker',
+        status: 429,
+        headers: { 'Retry-After': '0' },
+        body: 'Too many requests'
+      }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
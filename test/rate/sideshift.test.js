@@ -0,0 +1,118 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeSideshiftRatePlugin } from '../../src/rate/sideshift.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/sideshift.json'
+
+const API = 'https://sideshift.ai/api/v1'
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures])
+
+  // Holds each reply for a moment, counting the requests still waiting:
+  let active = 0
+  let maxActive = 0
+  const { fetch } = opts.io
+  const slowFetch = async (url, init) => {
+    maxActive = Math.max(maxActive, ++active)
+    await new Promise(resolve => setTimeout(resolve, 1))
+    --active
+    return fetch(url, init)
+  }
+  opts.io = { ...opts.io, fetch: slowFetch, fetchCors: slowFetch }
+
+  return {
+    opts,
+    plugin: makeSideshiftRatePlugin(opts),
+    getMaxActive: () => maxActive
+  }
+}
+
+function countPairCalls(opts): number {
+  return opts.calls.filter(call => /pairs/.test(call.url)).length
+}
+
+describe('sideshiftRates', function () {
+  it('returns crypto rates', async function () {
+    const { plugin } = setup()
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'ETH' },
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+      { fromCurrency: 'BTC', toCurrency: 'XMR' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'BTC', toCurrency: 'ETH', rate: 16.5 }
+    ])
+  })
+
+  it('caches rates', async function () {
+    const { opts, plugin } = setup()
+    const hints = [{ fromCurrency: 'BTC', toCurrency: 'ETH' }]
+    await plugin.fetchRates(hints)
+    await plugin.fetchRates(hints)
+
+    expect(countPairCalls(opts)).equals(1)
+  })
+
+  it('shares requests that are still in flight', async function () {
+    const { opts, plugin } = setup()
+    const hints = [{ fromCurrency: 'BTC', toCurrency: 'ETH' }]
+    const [a, b] = await Promise.all([
+      plugin.fetchRates(hints),
+      plugin.fetchRates(hints)
+    ])
+
+    expect(a).deep.equals(b)
+    expect(countPairCalls(opts)).equals(1)
+  })
+
+  it('limits concurrent requests', async function () {
+    const assets = ['btc', 'eth', 'ltc', 'bch', 'doge']
+    const methods = {}
+    for (const asset of assets) {
+      methods[asset] = { asset, network: asset, enabled: true }
+    }
+    const hints = []
+    const routes: FakeRoute[] = [
+      {
+        url: `${API}/facts`,
+        body: { depositMethods: methods, settleMethods: methods }
+      }
+    ]
+    for (const from of assets) {
+      for (const to of assets) {
+        if (from === to) continue
+        hints.push({
+          fromCurrency: from.toUpperCase(),
+          toCurrency: to.toUpperCase()
+        })
+        routes.push({ url: `${API}/pairs/${from}/${to}`, body: { rate: '1' } })
+      }
+    }
+    const { getMaxActive, opts, plugin } = setup(routes)
+
+    const pairs = await plugin.fetchRates(hints)
+    expect(pairs.length).equals(20)
+    expect(countPairCalls(opts)).equals(20)
+    expect(getMaxActive()).equals(4)
+  })
+
+  it('retries failed requests', async function () {
+    const { opts, plugin } = setup([{ url: `${API}/pairs/btc/eth`, body: {} }])
+    const hints = [{ fromCurrency: 'BTC', toCurrency: 'ETH' }]
+    expect(await plugin.fetchRates(hints)).deep.equals([])
+    await plugin.fetchRates(hints)
+    expect(countPairCalls(opts)).equals(2)
+  })
+
+  it('survives a malformed reply', async function () {
+    const { plugin } = setup([{ url: `${API}/pairs/btc/eth`, body: {} }])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'ETH' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
@@ -0,0 +1,36 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import { makeWazirxPlugin } from '../../src/rate/wazirx.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import fixtures from '../fixtures/rate/wazirx.json'
+
+function setup(overrides: FakeRoute[] = []) {
+  return makeWazirxPlugin(makeFakePluginOptions([...overrides, ...fixtures]))
+}
+
+describe('wazirx', function () {
+  it('returns INR rates', async function () {
+    const pairs = await setup().fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:INR' },
+      { fromCurrency: 'BCHABC', toCurrency: 'iso:INR' },
+      { fromCurrency: 'BTC', toCurrency: 'iso:USD' }
+    ])
+    expect(pairs).deep.equals([
+      { fromCurrency: 'BTC', toCurrency: 'iso:INR', rate: 3000000 },
+      { fromCurrency: 'BCHABC', toCurrency: 'iso:INR', rate: 70000 }
+    ])
+  })
+
+  it('survives a malformed reply', async function () {
+    const plugin = setup([
+      { url: 'https://api.wazirx.com/api/v2/tickers', body: { btcinr: {} } }
+    ])
+    const pairs = await plugin.fetchRates([
+      { fromCurrency: 'BTC', toCurrency: 'iso:INR' }
+    ])
+    expect(pairs).deep.equals([])
+  })
+})
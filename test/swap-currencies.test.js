@@ -0,0 +1,119 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  getProviderCurrencies,
+  getProviderCurrency
+} from '../src/swap-currencies.js'
+import { makeEthWallet, makeFakeWallet } from './fake/fakeWallet.js'
+
+const swapInfo = { pluginId: 'changenow', displayName: '', supportEmail: '' }
+
+describe('getProviderCurrency', function () {
+  it('keeps unlisted currencies as-is', function () {
+    const wallet = makeEthWallet()
+    expect(getProviderCurrency('changelly', wallet, 'ETH')).deep.equals({
+      currencyCode: 'ETH',
+      network: 'ethereum'
+    })
+  })
+
+  it('transcribes tokens per provider', function () {
+    const wallet = makeEthWallet()
+    expect(getProviderCurrency('changelly', wallet, 'USDT')).deep.includes({
+      currencyCode: 'USDT20'
+    })
+    expect(getProviderCurrency('changenow', wallet, 'USDT')).deep.includes({
+      currencyCode: 'USDTERC20'
+    })
+  })
+
+  it('matches tokens by contract address', function () {
+    const wallet = makeEthWallet({
+      metaTokens: [
+        {
+          currencyCode: 'TETHER',
+          currencyName: 'Renamed Tether',
+          denominations: [],
+          contractAddress: '0xdac17f958d2ee523a2206206994597c13d831ec7'
+        }
+      ]
+    })
+    expect(getProviderCurrency('changelly', wallet, 'TETHER')).deep.includes({
+      currencyCode: 'USDT20'
+    })
+  })
+
+  it('only transcribes tokens on their own chain', function () {
+    const wallet = makeFakeWallet({ pluginId: 'tron', currencyCode: 'TRX' })
+    expect(getProviderCurrency('changelly', wallet, 'USDT')).equals(undefined)
+    expect(getProviderCurrency('changenow', wallet, 'USDT')).equals(undefined)
+    expect(getProviderCurrency('changelly', wallet, 'TRX')).deep.equals({
+      currencyCode: 'TRX',
+      network: 'tron'
+    })
+
+    // Providers that take a network can tell the tokens apart:
+    expect(getProviderCurrency('sideshift', wallet, 'USDT')).deep.equals({
+      currencyCode: 'USDT',
+      network: 'tron'
+    })
+  })
+
+  it('transcribes networks', function () {
+    const wallet = makeFakeWallet({
+      pluginId: 'binancesmartchain',
+      currencyCode: 'BNB'
+    })
+    expect(getProviderCurrency('sideshift', wallet, 'BNB')).deep.equals({
+      currencyCode: 'BNB',
+      network: 'bsc'
+    })
+  })
+})
+
+describe('getProviderCurrencies', function () {
+  it('rejects unsupported currencies', function () {
+    const fromWallet = makeFakeWallet({
+      pluginId: 'fantom',
+      currencyCode: 'FTM'
+    })
+    const request = {
+      fromWallet,
+      toWallet: makeEthWallet(),
+      fromCurrencyCode: 'FTM',
+      toCurrencyCode: 'ETH',
+      nativeAmount: '1',
+      quoteFor: 'from'
+    }
+    expect(() => getProviderCurrencies(swapInfo, request))
+      .throws()
+      .with.property('name', 'SwapCurrencyError')
+
+    // ChangeNow still supports the ERC20 version:
+    const ftmToken = { ...request, fromWallet: makeEthWallet() }
+    expect(getProviderCurrencies(swapInfo, ftmToken).from).deep.equals({
+      currencyCode: 'FTM',
+      network: 'ethereum'
+    })
+  })
+
+  it('rejects tokens the provider would mistake', function () {
+    const request = {
+      fromWallet: makeFakeWallet({
+        pluginId: 'binancesmartchain',
+        currencyCode: 'BNB'
+      }),
+      toWallet: makeEthWallet(),
+      fromCurrencyCode: 'USDT',
+      toCurrencyCode: 'ETH',
+      nativeAmount: '1',
+      quoteFor: 'from'
+    }
+    expect(() => getProviderCurrencies(swapInfo, request))
+      .throws()
+      .with.property('name', 'SwapCurrencyError')
+  })
+})
@@ -0,0 +1,457 @@
+// @flow
+/* global AbortController */
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import {
+  checkSwapLimits,
+  fetchFixedOrEstimate,
+  makeCancellableSwapPlugin,
+  makeSwapPluginQuote,
+  SwapDepositMismatchError,
+  SwapExpiredError,
+  SwapQuoteCancelledError,
+  SwapStepError
+} from '../src/swap-helpers.js'
+import { makeSwapHistory } from '../src/swap-history.js'
+import { makeFakePluginOptions } from './fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from './fake/fakeWallet.js'
+import { catchError } from './fake/helpers.js'
+
+const swapInfo = { pluginId: 'fake', displayName: 'Fake', supportEmail: '' }
+
+function makeRequest(
+  quoteFor: 'from' | 'to',
+  nativeAmount: string
+): EdgeSwapRequest {
+  return {
+    fromWallet: makeBtcWallet(),
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount,
+    quoteFor
+  }
+}
+
+describe('checkSwapLimits', function () {
+  it('accepts amounts within the limits', async function () {
+    const request = makeRequest('from', '10000000')
+    await checkSwapLimits(swapInfo, request, { min: '0.005', max: 2 })
+  })
+
+  it('reports limits in the "from" currency', async function () {
+    const request = makeRequest('from', '10000000')
+    const error = await catchError(
+      checkSwapLimits(swapInfo, request, { min: '0.5', max: null })
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('estimates the "from" amount for "to" quotes', async function () {
+    // 1.65 ETH at 16.5 ETH per BTC is 0.1 BTC, above the 0.05 limit:
+    const request = makeRequest('to', '1650000000000000000')
+    const error = await catchError(
+      checkSwapLimits(swapInfo, request, { max: '0.05', rate: '16.5' })
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('converts "to" limits using the quoted amounts', async function () {
+    const request = makeRequest('from', '10000000')
+    const error = await catchError(
+      checkSwapLimits(swapInfo, request, {
+        min: '2',
+        limitCurrency: 'to',
+        fromNativeAmount: '10000000',
+        toNativeAmount: '1650000000000000000'
+      })
+    )
+
+    // 2 ETH at 16.5 ETH per BTC, rounded up to the next satoshi:
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '12121213')
+  })
+
+  it('needs a rate to convert limits', async function () {
+    const request = makeRequest('to', '1650000000000000000')
+    const error = await catchError(
+      checkSwapLimits(swapInfo, request, { min: '0.005' })
+    )
+    expect(error.message).equals('fake needs a rate to check limits')
+  })
+})
+
+describe('makeSwapPluginQuote', function () {
+  async function makeSteps(wallet) {
+    const approval = await wallet.makeSpend({
+      spendTargets: [{ nativeAmount: '0', publicAddress: 'token' }],
+      networkFee: '1000'
+    })
+    const swap = await wallet.makeSpend({
+      spendTargets: [{ nativeAmount: '10000000', publicAddress: 'exchange' }]
+    })
+    return [approval, { ...swap, networkFee: '2000' }]
+  }
+
+  it('broadcasts each step in order', async function () {
+    const request = makeRequest('from', '10000000')
+    const fromWallet: any = request.fromWallet
+    const progress = []
+    const quote = makeSwapPluginQuote(
+      request,
+      '10000000',
+      '1650000000000000000',
+      await makeSteps(fromWallet),
+      'ethereum-address',
+      'fake',
+      false,
+      undefined,
+      undefined,
+      { onProgress: ({ step, stepCount }) => progress.push([step, stepCount]) }
+    )
+    expect(quote.networkFee.nativeAmount).equals('3000')
+
+    const result = await quote.approve()
+    expect(fromWallet.broadcasts.map(tx => tx.txid)).deep.equals([
+      'txid-0',
+      'txid-1'
+    ])
+    expect(fromWallet.saves.length).equals(2)
+    expect(progress).deep.equals([
+      [0, 2],
+      [1, 2]
+    ])
+    expect(result.transaction.txid).equals('txid-1')
+    expect(result.orderId).equals('txid-1')
+  })
+
+  it('stops at a failed step', async function () {
+    const request = makeRequest('from', '10000000')
+    const fromWallet: any = request.fromWallet
+    const { broadcastTx } = fromWallet
+    fromWallet.broadcastTx = async tx => {
+      if (fromWallet.broadcasts.length > 0) throw new Error('Nonce too low')
+      return broadcastTx(tx)
+    }
+    const quote = makeSwapPluginQuote(
+      request,
+      '10000000',
+      '1650000000000000000',
+      await makeSteps(fromWallet),
+      'ethereum-address',
+      'fake'
+    )
+
+    const error = await catchError(quote.approve())
+    expect(error).instanceOf(SwapStepError)
+    expect(error.step).equals(1)
+    expect(error.broadcastTransactions.map(tx => tx.txid)).deep.equals([
+      'txid-0'
+    ])
+    expect(error.error.message).equals('Nonce too low')
+    expect(fromWallet.saves.length).equals(1)
+  })
+
+  it('carries on when a broadcast transaction cannot be saved', async function () {
+    const request = makeRequest('from', '10000000')
+    const fromWallet: any = request.fromWallet
+    fromWallet.saveTx = async () => {
+      throw new Error('Disk full')
+    }
+    const history = makeSwapHistory(makeFakePluginOptions([]))
+    const warnings: string[] = []
+    const log = Object.assign(() => {}, {
+      error() {},
+      warn(message: string) {
+        warnings.push(message)
+      }
+    })
+    const [approval, swap] = await makeSteps(fromWallet)
+    const quote = makeSwapPluginQuote(
+      request,
+      '10000000',
+      '1650000000000000000',
+      [
+        approval,
+        {
+          ...swap,
+          swapData: {
+            isEstimate: false,
+            payoutAddress: 'ethereum-address',
+            payoutCurrencyCode: 'ETH',
+            payoutNativeAmount: '1650000000000000000',
+            payoutWalletId: 'ethereum-wallet',
+            plugin: swapInfo
+          }
+        }
+      ],
+      'ethereum-address',
+      'fake',
+      false,
+      undefined,
+      'order-1',
+      { history, log }
+    )
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('order-1')
+    expect(result.transaction.txid).equals('txid-1')
+    expect(fromWallet.broadcasts.length).equals(2)
+    expect(warnings).deep.equals([
+      'fake: Could not save swap tx: Error: Disk full',
+      'fake: Could not save swap tx: Error: Disk full'
+    ])
+    const [record] = await history.list()
+    expect(record.txids).deep.equals(['txid-0', 'txid-1'])
+  })
+
+  it('passes first-step failures through', async function () {
+    const request = makeRequest('from', '10000000')
+    const fromWallet: any = request.fromWallet
+    fromWallet.signTx = async () => {
+      throw new Error('Locked')
+    }
+    const quote = makeSwapPluginQuote(
+      request,
+      '10000000',
+      '1650000000000000000',
+      await makeSteps(fromWallet),
+      'ethereum-address',
+      'fake'
+    )
+
+    const error = await catchError(quote.approve())
+    expect(error.message).equals('Locked')
+  })
+})
+
+describe('makeSwapPluginQuote checks', function () {
+  function makeDeposit(wallet, publicAddress: string) {
+    return wallet.makeSpend({
+      spendTargets: [{ nativeAmount: '10000000', publicAddress }],
+      swapData: {
+        isEstimate: false,
+        payoutAddress: 'ethereum-address',
+        payoutCurrencyCode: 'ETH',
+        payoutNativeAmount: '1650000000000000000',
+        payoutWalletId: 'ethereum-wallet',
+        plugin: swapInfo,
+        depositAddress: 'exchange',
+        depositNativeAmount: '10000000'
+      }
+    })
+  }
+
+  function makeQuote(request, tx, expirationDate?: Date) {
+    return makeSwapPluginQuote(
+      request,
+      '10000000',
+      '1650000000000000000',
+      tx,
+      'ethereum-address',
+      'fake',
+      false,
+      expirationDate
+    )
+  }
+
+  it('rejects expired quotes', async function () {
+    const request = makeRequest('from', '10000000')
+    const fromWallet: any = request.fromWallet
+    const tx = await makeDeposit(fromWallet, 'exchange')
+    const quote = makeQuote(request, tx, new Date(Date.now() - 1000))
+
+    const error = await catchError(quote.approve())
+    expect(error).instanceOf(SwapExpiredError)
+    expect(fromWallet.broadcasts.length).equals(0)
+  })
+
+  it('rejects deposits to the wrong address', async function () {
+    const request = makeRequest('from', '10000000')
+    const fromWallet: any = request.fromWallet
+    const tx = await makeDeposit(fromWallet, 'elsewhere')
+
+    const error = await catchError(makeQuote(request, tx).approve())
+    expect(error).instanceOf(SwapDepositMismatchError)
+    expect(error.depositAddress).equals('exchange')
+    expect(fromWallet.broadcasts.length).equals(0)
+  })
+
+  it('rejects deposits the balance no longer covers', async function () {
+    // 0.1 BTC plus the 1000 satoshi fee:
+    const request = {
+      ...makeRequest('from', '10000000'),
+      fromWallet: makeBtcWallet({ balances: { BTC: '10000999' } })
+    }
+    const fromWallet: any = request.fromWallet
+    const tx = await makeDeposit(fromWallet, 'exchange')
+
+    const error = await catchError(makeQuote(request, tx).approve())
+    expect(error).to.have.property('name', 'InsufficientFundsError')
+    expect(error).to.have.property('currencyCode', 'BTC')
+    expect(fromWallet.broadcasts.length).equals(0)
+  })
+
+  it('charges token fees to the parent currency', async function () {
+    const fromWallet = makeEthWallet({
+      parentNetworkFee: '21000',
+      balances: { USDT: '5000000', ETH: '20000' }
+    })
+    const request = {
+      fromWallet,
+      toWallet: makeBtcWallet(),
+      fromCurrencyCode: 'USDT',
+      toCurrencyCode: 'BTC',
+      nativeAmount: '5000000',
+      quoteFor: 'from'
+    }
+    const tx = await fromWallet.makeSpend({
+      currencyCode: 'USDT',
+      spendTargets: [{ nativeAmount: '5000000', publicAddress: 'exchange' }]
+    })
+    const quote = makeSwapPluginQuote(
+      request,
+      '5000000',
+      '10000000',
+      tx,
+      'bitcoin-address',
+      'fake'
+    )
+
+    const error = await catchError(quote.approve())
+    expect(error).to.have.property('currencyCode', 'ETH')
+  })
+})
+
+describe('makeCancellableSwapPlugin', function () {
+  function makeLateQuote(ms: number) {
+    const quote: any = {
+      closed: false,
+      async close() {
+        quote.closed = true
+      }
+    }
+    const signals = []
+    const plugin = makeCancellableSwapPlugin({
+      swapInfo,
+      fetchSwapQuote(request, userSettings, opts: any) {
+        signals.push(opts.signal)
+        return new Promise(resolve => setTimeout(() => resolve(quote), ms))
+      }
+    })
+    return { plugin, quote, signals }
+  }
+
+  it('cancels quotes', async function () {
+    const { plugin, quote, signals } = makeLateQuote(20)
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 5)
+
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        makeRequest('from', '10000000'),
+        undefined,
+        ({
+          signal: controller.signal
+        }: any)
+      )
+    )
+    expect(error).instanceOf(SwapQuoteCancelledError)
+    expect(error.reason).equals('cancelled')
+    expect(signals[0].aborted).equals(true)
+
+    // The late quote gets closed once it arrives:
+    await new Promise(resolve => setTimeout(resolve, 30))
+    expect(quote.closed).equals(true)
+  })
+
+  it('enforces deadlines', async function () {
+    const { plugin } = makeLateQuote(20)
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        makeRequest('from', '10000000'),
+        undefined,
+        ({
+          deadline: new Date(Date.now() + 5)
+        }: any)
+      )
+    )
+    expect(error).to.have.property('reason', 'deadline')
+  })
+
+  it('returns quotes that arrive in time', async function () {
+    const { plugin, quote } = makeLateQuote(0)
+    const result = await plugin.fetchSwapQuote(
+      makeRequest('from', '10000000'),
+      undefined,
+      ({ deadline: new Date(Date.now() + 50) }: any)
+    )
+    expect(result).equals(quote)
+    expect(quote.closed).equals(false)
+  })
+})
+
+describe('fetchFixedOrEstimate', function () {
+  function makeQuote(): any {
+    const quote: any = {
+      closed: false,
+      async close() {
+        quote.closed = true
+      }
+    }
+    return quote
+  }
+
+  it('skips the estimate when the fixed quote arrives', async function () {
+    const fixed = makeQuote()
+    let estimates = 0
+    const result = await fetchFixedOrEstimate(
+      undefined,
+      async () => fixed,
+      async () => {
+        ++estimates
+        return makeQuote()
+      }
+    )
+    expect(result).equals(fixed)
+    expect(estimates).equals(0)
+  })
+
+  it('falls back to the estimate', async function () {
+    const estimate = makeQuote()
+    const result = await fetchFixedOrEstimate(
+      undefined,
+      async () => {
+        throw new Error('No fixed quote')
+      },
+      async () => estimate
+    )
+    expect(result).equals(estimate)
+    expect(estimate.closed).equals(false)
+  })
+
+  it('does not fall back once cancelled', async function () {
+    const controller = new AbortController()
+    let estimates = 0
+    const error = await catchError(
+      fetchFixedOrEstimate(
+        controller.signal,
+        async () => {
+          controller.abort()
+          throw new Error('Aborted')
+        },
+        async () => {
+          ++estimates
+          return makeQuote()
+        }
+      )
+    )
+    expect(error.message).equals('Aborted')
+    expect(estimates).equals(0)
+  })
+})
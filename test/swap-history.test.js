@@ -0,0 +1,110 @@
+// @flow
+
+import { expect } from 'chai'
+import { describe, it } from 'mocha'
+
+import {
+  type SwapOrderRecord,
+  makeSwapHistory,
+  withSwapHistory
+} from '../src/swap-history.js'
+import { makeFakePluginOptions } from './fake/fakeIo.js'
+
+function makeRecord(
+  pluginId: string,
+  orderId: string,
+  createdDate: string
+): SwapOrderRecord {
+  return {
+    pluginId,
+    orderId,
+    status: 'waiting',
+    isEstimate: false,
+    createdDate: new Date(createdDate),
+    fromWalletId: 'bitcoin-wallet',
+    fromCurrencyCode: 'BTC',
+    fromNativeAmount: '10000000',
+    depositAddress: `${pluginId}-deposit`,
+    txids: [`${orderId}-txid`],
+    payoutWalletId: 'ethereum-wallet',
+    payoutCurrencyCode: 'ETH',
+    payoutNativeAmount: '1650000000000000000',
+    payoutAddress: 'ethereum-address'
+  }
+}
+
+describe('makeSwapHistory', function () {
+  it('keeps records across restarts', async function () {
+    const opts = makeFakePluginOptions([])
+    const history = makeSwapHistory(opts)
+    await history.save(makeRecord('godex', 'a', '2020-01-01'))
+    await history.save(makeRecord('godex', 'b', '2020-01-02'))
+    await history.setStatus('godex', 'a', 'settled')
+
+    const records = await makeSwapHistory(opts).list()
+    expect(records.map(record => record.orderId)).deep.equals(['b', 'a'])
+    expect(records[1].status).equals('settled')
+    expect(records[1].createdDate).deep.equals(new Date('2020-01-01'))
+  })
+
+  it('filters records', async function () {
+    const history = makeSwapHistory(makeFakePluginOptions([]))
+    await history.save(makeRecord('godex', 'a', '2020-01-01'))
+    await history.save(makeRecord('changenow', 'b', '2020-01-02'))
+    await history.save(makeRecord('godex', 'c', '2020-01-03'))
+    await history.setStatus('godex', 'c', 'failed')
+
+    const byPlugin = await history.list({ pluginId: 'godex' })
+    expect(byPlugin.map(record => record.orderId)).deep.equals(['c', 'a'])
+    const byStatus = await history.list({ status: ['waiting', 'pending'] })
+    expect(byStatus.map(record => record.orderId)).deep.equals(['b', 'a'])
+    const byDate = await history.list({ since: new Date('2020-01-02') })
+    expect(byDate.map(record => record.orderId)).deep.equals(['c', 'b'])
+  })
+
+  it('exports records as JSON', async function () {
+    const history = makeSwapHistory(makeFakePluginOptions([]))
+    await history.save(makeRecord('godex', 'a', '2020-01-01'))
+
+    const json = JSON.parse(await history.exportRecords({ pluginId: 'godex' }))
+    expect(json).to.have.length(1)
+    expect(json[0]).deep.includes({
+      orderId: 'a',
+      createdDate: '2020-01-01T00:00:00.000Z'
+    })
+  })
+
+  it('drops damaged records', async function () {
+    const opts = makeFakePluginOptions([])
+    opts.files['swap-history.json'] = JSON.stringify([
+      { pluginId: 'godex' },
+      makeRecord('godex', 'a', '2020-01-01')
+    ])
+
+    const records = await makeSwapHistory(opts).list()
+    expect(records.map(record => record.orderId)).deep.equals(['a'])
+  })
+})
+
+describe('withSwapHistory', function () {
+  it('records the statuses the plugin reports', async function () {
+    const history = makeSwapHistory(makeFakePluginOptions([]))
+    await history.save(makeRecord('godex', 'a', '2020-01-01'))
+    const plugin: any = withSwapHistory(
+      {
+        swapInfo: { pluginId: 'godex', displayName: 'Godex', supportEmail: '' },
+        async fetchSwapQuote() {
+          throw new Error('Not implemented')
+        },
+        async fetchOrderStatus(orderId: string) {
+          return { orderId, status: 'settled' }
+        }
+      },
+      history
+    )
+
+    await plugin.fetchOrderStatus('a')
+    const records = await plugin.swapHistory.list()
+    expect(records.map(record => record.status)).deep.equals(['settled'])
+  })
+})
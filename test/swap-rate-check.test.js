@@ -0,0 +1,198 @@
+// @flow
+/* global AbortController */
+
+import { expect } from 'chai'
+import {
+  type EdgeRatePlugin,
+  type EdgeSwapQuote,
+  type EdgeSwapRequest
+} from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import {
+  makeMarketRates,
+  makeRateCheckedSwapPlugin,
+  SwapRateDeviationError
+} from '../src/swap-rate-check.js'
+import { makeFakePluginOptions } from './fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from './fake/fakeWallet.js'
+import { catchError } from './fake/helpers.js'
+
+const swapInfo = { pluginId: 'fake', displayName: 'Fake', supportEmail: '' }
+
+const request: EdgeSwapRequest = {
+  fromWallet: makeBtcWallet(),
+  toWallet: makeEthWallet(),
+  fromCurrencyCode: 'BTC',
+  toCurrencyCode: 'ETH',
+  nativeAmount: '10000000',
+  quoteFor: 'from'
+}
+
+/**
+ * Makes a rate plugin with fixed USD prices.
+ */
+function makeRatePlugin(usdRates: { [currencyCode: string]: number }) {
+  let fetches = 0
+  const plugin: EdgeRatePlugin = {
+    rateInfo: { pluginId: 'fakeRates', displayName: 'Fake Rates' },
+    async fetchRates(pairsHint) {
+      ++fetches
+      return pairsHint
+        .filter(pair => usdRates[pair.fromCurrency] != null)
+        .map(pair => ({
+          fromCurrency: pair.fromCurrency,
+          toCurrency: 'iso:USD',
+          rate: usdRates[pair.fromCurrency]
+        }))
+    }
+  }
+  return { plugin, getFetches: () => fetches }
+}
+
+// A rate source that never answers:
+const stuckRates: EdgeRatePlugin = {
+  rateInfo: { pluginId: 'stuckRates', displayName: 'Stuck Rates' },
+  fetchRates: () => new Promise(() => {})
+}
+
+/**
+ * Makes a 0.1 BTC quote that remembers whether it was closed.
+ */
+function makeQuote(
+  toNativeAmount: string
+): EdgeSwapQuote & { closed: boolean } {
+  const quote = {
+    pluginId: 'fake',
+    fromNativeAmount: '10000000',
+    toNativeAmount,
+    networkFee: { currencyCode: 'BTC', nativeAmount: '1000' },
+    destinationAddress: 'ethereum-address',
+    isEstimate: false,
+    closed: false,
+    async approve() {
+      throw new Error('Not implemented')
+    },
+    async close() {
+      quote.closed = true
+    }
+  }
+  return quote
+}
+
+function makeCheckedPlugin(
+  quote: EdgeSwapQuote,
+  ratePlugins: EdgeRatePlugin[],
+  initOptions: Object = {}
+) {
+  const opts = makeFakePluginOptions([], initOptions)
+  return makeRateCheckedSwapPlugin(
+    { swapInfo, fetchSwapQuote: async () => quote },
+    opts,
+    makeMarketRates(opts, ratePlugins)
+  )
+}
+
+// 33000 USD per BTC and 2000 USD per ETH makes 16.5 ETH per BTC:
+const marketRates = { BTC: 33000, ETH: 2000 }
+
+describe('makeRateCheckedSwapPlugin', function () {
+  it('attaches the rate check to quotes', async function () {
+    const { plugin: rates } = makeRatePlugin(marketRates)
+    const plugin = makeCheckedPlugin(makeQuote('1600000000000000000'), [rates])
+
+    const quote: any = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote.rateCheck.marketRate).equals(16.5)
+    expect(quote.rateCheck.quotedRate).equals(16)
+    expect(quote.rateCheck.deviation).closeTo(-0.0303, 0.0001)
+    expect(quote.rateCheck.flagged).equals(false)
+  })
+
+  it('rejects decimal mistakes', async function () {
+    const { plugin: rates } = makeRatePlugin(marketRates)
+    const badQuote = makeQuote('165000000000000000')
+    const plugin = makeCheckedPlugin(badQuote, [rates])
+
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).instanceOf(SwapRateDeviationError)
+    expect(error.message).equals('fake quoted a rate 90.0% below the market')
+    expect(badQuote.closed).equals(true)
+  })
+
+  it('can flag quotes instead', async function () {
+    const { plugin: rates } = makeRatePlugin(marketRates)
+    const plugin = makeCheckedPlugin(
+      makeQuote('3300000000000000000'),
+      [rates],
+      {
+        maxRateDeviation: 0.5,
+        rateDeviationAction: 'flag'
+      }
+    )
+
+    const quote: any = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote.rateCheck.deviation).equals(1)
+    expect(quote.rateCheck.flagged).equals(true)
+  })
+
+  it('uses the median market rate', async function () {
+    const plugin = makeCheckedPlugin(makeQuote('1650000000000000000'), [
+      makeRatePlugin(marketRates).plugin,
+      makeRatePlugin({ BTC: 3300, ETH: 2000 }).plugin,
+      makeRatePlugin({ BTC: 34000, ETH: 2000 }).plugin,
+      makeRatePlugin({ BTC: 33000 }).plugin
+    ])
+
+    const quote: any = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote.rateCheck.marketRate).equals(16.5)
+    expect(quote.rateCheck.flagged).equals(false)
+  })
+
+  it('passes unpriced pairs through', async function () {
+    const original = makeQuote('165000000000000000')
+    const plugin = makeCheckedPlugin(original, [
+      makeRatePlugin({ BTC: 33000 }).plugin
+    ])
+
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote).equals(original)
+  })
+
+  it('caches market rates', async function () {
+    const { plugin: rates, getFetches } = makeRatePlugin(marketRates)
+    const plugin = makeCheckedPlugin(makeQuote('1650000000000000000'), [rates])
+
+    await plugin.fetchSwapQuote(request, undefined, {})
+    await plugin.fetchSwapQuote(request, undefined, {})
+    expect(getFetches()).equals(1)
+  })
+
+  it('skips the check when rates are too slow', async function () {
+    const original = makeQuote('165000000000000000')
+    const plugin = makeCheckedPlugin(original, [stuckRates], {
+      rateTimeoutMs: 10
+    })
+
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote).equals(original)
+  })
+
+  it('stops waiting for rates once cancelled', async function () {
+    const original = makeQuote('1650000000000000000')
+    const plugin = makeCheckedPlugin(original, [stuckRates])
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 10)
+
+    const opts: Object = { signal: controller.signal }
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, opts)
+    )
+    expect(error).to.have.property('name', 'SwapQuoteCancelledError')
+
+    // The late quote gets closed right away:
+    await new Promise(resolve => setTimeout(resolve, 0))
+    expect(original.closed).equals(true)
+  })
+})
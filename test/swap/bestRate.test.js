@@ -0,0 +1,239 @@
+// @flow
+
+import { expect } from 'chai'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeSwapPlugin,
+  type EdgeSwapQuote,
+  type EdgeSwapRequest,
+  SwapAboveLimitError,
+  SwapBelowLimitError,
+  SwapCurrencyError
+} from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeBestRatePlugin } from '../../src/swap/bestRate.js'
+import { makeSwapHistory, withSwapHistory } from '../../src/swap-history.js'
+import { makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+
+type FakeQuote = EdgeSwapQuote & { closed: boolean }
+
+const swapInfo = { pluginId: 'fake', displayName: 'Fake', supportEmail: '' }
+
+/**
+ * Makes a quote that remembers whether it was closed.
+ */
+function makeQuote(
+  pluginId: string,
+  toNativeAmount: string,
+  isEstimate: boolean = false
+): FakeQuote {
+  const quote: FakeQuote = {
+    pluginId,
+    fromNativeAmount: '10000000',
+    toNativeAmount,
+    networkFee: { currencyCode: 'BTC', nativeAmount: '1000' },
+    destinationAddress: 'ethereum-address',
+    isEstimate,
+    closed: false,
+    async approve() {
+      throw new Error('Not implemented')
+    },
+    async close() {
+      quote.closed = true
+    }
+  }
+  return quote
+}
+
+/**
+ * Makes a plugin factory that always gives the same answer.
+ */
+function makeStubFactory(
+  getResult: () => Promise<EdgeSwapQuote>,
+  onCreate?: (opts: EdgeCorePluginOptions) => void
+) {
+  return (opts: EdgeCorePluginOptions): EdgeSwapPlugin => {
+    if (onCreate != null) onCreate(opts)
+    return { swapInfo, fetchSwapQuote: getResult }
+  }
+}
+
+const request: EdgeSwapRequest = {
+  fromWallet: makeBtcWallet(),
+  toWallet: makeEthWallet(),
+  fromCurrencyCode: 'BTC',
+  toCurrencyCode: 'ETH',
+  nativeAmount: '10000000',
+  quoteFor: 'from'
+}
+
+describe('bestRate', function () {
+  it('picks the best quote and closes the rest', async function () {
+    const low = makeQuote('low', '1600000000000000000')
+    const high = makeQuote('high', '1650000000000000000', true)
+    const makePlugin = makeBestRatePlugin({
+      low: makeStubFactory(async () => low),
+      high: makeStubFactory(async () => high),
+      off: makeStubFactory(async () => makeQuote('off', '9'))
+    })
+    const plugin = makePlugin(
+      makeFakePluginOptions([], { plugins: { low: true, high: {} } })
+    )
+
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote).equals(high)
+    expect(high.closed).equals(false)
+    expect(low.closed).equals(true)
+  })
+
+  it('can prefer fixed quotes', async function () {
+    const fixed = makeQuote('fixed', '1600000000000000000')
+    const estimate = makeQuote('estimate', '1650000000000000000', true)
+    const makePlugin = makeBestRatePlugin({
+      fixed: makeStubFactory(async () => fixed),
+      estimate: makeStubFactory(async () => estimate)
+    })
+    const plugin = makePlugin(
+      makeFakePluginOptions([], {
+        plugins: { fixed: true, estimate: true },
+        preferFixed: true
+      })
+    )
+
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote).equals(fixed)
+    expect(estimate.closed).equals(true)
+  })
+
+  it('reports the most useful error', async function () {
+    const makePlugin = makeBestRatePlugin({
+      currency: makeStubFactory(async () => {
+        throw new SwapCurrencyError(swapInfo, 'BTC', 'ETH')
+      }),
+      below: makeStubFactory(async () => {
+        throw new SwapBelowLimitError(swapInfo, '50000000')
+      }),
+      above: makeStubFactory(async () => {
+        throw new SwapAboveLimitError(swapInfo, '5000000')
+      })
+    })
+    const plugin = makePlugin(
+      makeFakePluginOptions([], {
+        plugins: { currency: true, below: true, above: true }
+      })
+    )
+
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('gives up on slow plugins', async function () {
+    const fast = makeQuote('fast', '1600000000000000000')
+    const slow = makeQuote('slow', '1650000000000000000')
+    const makePlugin = makeBestRatePlugin({
+      fast: makeStubFactory(async () => fast),
+      slow: makeStubFactory(
+        () => new Promise(resolve => setTimeout(() => resolve(slow), 50))
+      )
+    })
+    const plugin = makePlugin(
+      makeFakePluginOptions([], {
+        plugins: { fast: true, slow: true },
+        timeoutMs: 10
+      })
+    )
+
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote).equals(fast)
+
+    // The late quote gets closed once it arrives:
+    await new Promise(resolve => setTimeout(resolve, 60))
+    expect(slow.closed).equals(true)
+  })
+
+  it('gives each plugin its own folder', async function () {
+    const opts = makeFakePluginOptions([], { plugins: { a: true } })
+    let disklet
+    const makePlugin = makeBestRatePlugin({
+      a: makeStubFactory(
+        async () => makeQuote('a', '1'),
+        opts => {
+          disklet = opts.pluginDisklet
+        }
+      )
+    })
+    makePlugin(opts)
+    if (disklet == null) throw new Error('Plugin not created')
+
+    await disklet.setText('file.json', '{}')
+    expect(opts.files).deep.equals({ 'a/file.json': '{}' })
+    expect(await disklet.list()).deep.equals({ 'file.json': 'file' })
+  })
+
+  it("merges the plugins' swap histories", async function () {
+    const statusCalls: string[] = []
+    const makeFactory = (id: string) => (
+      opts: EdgeCorePluginOptions
+    ): EdgeSwapPlugin =>
+      withSwapHistory(
+        {
+          swapInfo: { ...swapInfo, pluginId: id },
+          async fetchSwapQuote() {
+            throw new Error('Not implemented')
+          },
+          async fetchOrderStatus(orderId: string) {
+            statusCalls.push(orderId)
+            return { orderId, status: 'settled' }
+          }
+        },
+        makeSwapHistory(opts)
+      )
+    const makeRecord = (id: string, createdDate: string) => ({
+      pluginId: id,
+      orderId: `${id}-order`,
+      status: 'waiting',
+      isEstimate: false,
+      createdDate,
+      fromWalletId: 'bitcoin-wallet',
+      fromCurrencyCode: 'BTC',
+      fromNativeAmount: '10000000',
+      depositAddress: `${id}-deposit`,
+      txids: [],
+      payoutWalletId: 'ethereum-wallet',
+      payoutCurrencyCode: 'ETH',
+      payoutNativeAmount: '1650000000000000000',
+      payoutAddress: 'ethereum-address'
+    })
+    const makePlugin = makeBestRatePlugin({
+      a: makeFactory('a'),
+      b: makeFactory('b')
+    })
+    const opts = makeFakePluginOptions([], { plugins: { a: true, b: true } })
+    opts.files['a/swap-history.json'] = JSON.stringify([
+      makeRecord('a', '2020-01-01T00:00:00.000Z')
+    ])
+    opts.files['b/swap-history.json'] = JSON.stringify([
+      makeRecord('b', '2020-01-02T00:00:00.000Z')
+    ])
+    const plugin: any = makePlugin(opts)
+
+    const records = await plugin.swapHistory.list()
+    expect(records.map(record => record.orderId)).deep.equals([
+      'b-order',
+      'a-order'
+    ])
+
+    await plugin.fetchOrderStatus('a-order')
+    expect(statusCalls).deep.equals(['a-order'])
+    const [, updated] = await plugin.swapHistory.list()
+    expect(updated.status).equals('settled')
+    const error = await catchError(plugin.fetchOrderStatus('c-order'))
+    expect(error.message).equals('bestRate: No swap with order c-order')
+  })
+})
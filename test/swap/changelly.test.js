@@ -0,0 +1,130 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeChangellyPlugin } from '../../src/swap/changelly.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/changelly.json'
+
+const API = 'https://api.changelly.com'
+
+// Refuses the fixed-rate quote, so the plugin falls back to an estimate:
+const noFixedRate: FakeRoute = {
+  method: 'POST',
+  url: API,
+  request: { method: 'getFixRateForAmount' },
+  body: { jsonrpc: '2.0', id: 'one', error: { code: -32600, message: 'No' } }
+}
+
+// Sets the floating-rate limits:
+function pairParams(minAmountFloat: string, maxAmountFloat: string): FakeRoute {
+  return {
+    method: 'POST',
+    url: API,
+    request: { method: 'getPairsParams' },
+    body: {
+      jsonrpc: '2.0',
+      id: 'one',
+      result: [{ from: 'btc', to: 'eth', minAmountFloat, maxAmountFloat }]
+    }
+  }
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key',
+    secret: 'secret'
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeChangellyPlugin(opts), fromWallet, request }
+}
+
+describe('changelly', function () {
+  it('quotes a fixed-rate swap', async function () {
+    const { fromWallet, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(false)
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'changelly-btc-deposit'
+    })
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('changelly-fixed-1')
+  })
+
+  it('falls back to an estimate', async function () {
+    const { plugin, request } = setup([noFixedRate])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(true)
+    expect(quote.toNativeAmount).equals('1600000000000000000')
+    const result = await quote.approve()
+    expect(result.orderId).equals('changelly-float-1')
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([noFixedRate, pairParams('0.5', '2')])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup([
+      noFixedRate,
+      pairParams('0.005', '0.05')
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup([
+      noFixedRate,
+      {
+        method: 'POST',
+        url: API,
+        request: { method: 'getPairsParams' },
+        body: {
+          jsonrpc: '2.0',
+          id: 'one',
+          error: { code: -32602, message: 'Invalid currency: eth' }
+        }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('changelly-fixed-1')
+    expect(status).deep.equals({
+      orderId: 'changelly-fixed-1',
+      status: 'settled'
+    })
+  })
+})
@@ -0,0 +1,133 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeChangeNowPlugin } from '../../src/swap/changenow.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/changenow.json'
+
+const API = 'https://changenow.io/api/v1'
+
+// Puts the amount outside the fixed-rate range, forcing an estimate:
+const noFixedRate: FakeRoute = {
+  url: `${API}/exchange-amount/fixed-rate/0.1/btc_eth?api_key=key`,
+  body: { error: 'out_of_range', message: 'Amount is out of range' }
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeChangeNowPlugin(opts), fromWallet, request }
+}
+
+describe('changenow', function () {
+  it('quotes a fixed-rate swap', async function () {
+    const { fromWallet, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(false)
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'changenow-btc-deposit'
+    })
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('changenow-fixed-1')
+  })
+
+  it('falls back to an estimate', async function () {
+    const { plugin, request } = setup([noFixedRate])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(true)
+    expect(quote.toNativeAmount).equals('1600000000000000000')
+    const result = await quote.approve()
+    expect(result.orderId).equals('changenow-float-1')
+  })
+
+  it('keeps the api key out of logs', async function () {
+    const { opts, request } = setup()
+    const lines: string[] = []
+    const log = (...args: mixed[]) => {
+      lines.push(args.map(arg => JSON.stringify(arg)).join(' '))
+    }
+    const plugin = makeChangeNowPlugin({
+      ...opts,
+      log: Object.assign(log, { error: log, warn: log })
+    })
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    await quote.approve()
+
+    expect(lines.some(line => line.includes('call fixed'))).equals(true)
+    expect(lines.join('\n')).not.includes('key')
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([
+      noFixedRate,
+      {
+        url: `${API}/exchange-range/btc_eth`,
+        body: { minAmount: 0.5, maxAmount: null }
+      },
+      {
+        url: `${API}/exchange-amount/0.1/btc_eth`,
+        body: { error: 'deposit_too_small', message: 'Deposit too small' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup([
+      noFixedRate,
+      {
+        url: `${API}/exchange-range/btc_eth`,
+        body: { minAmount: 0.005, maxAmount: 0.05 }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup([
+      { url: `${API}/currencies-to/BTC`, body: [] }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('changenow-fixed-1')
+    expect(status).deep.equals({
+      orderId: 'changenow-fixed-1',
+      status: 'settling'
+    })
+  })
+})
@@ -0,0 +1,134 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeCoinSwitchPlugin } from '../../src/swap/coinswitch.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/coinswitch.json'
+
+const API = 'https://api.coinswitch.co'
+
+const noFixedRate: FakeRoute = {
+  method: 'POST',
+  url: `${API}/v2/fixed/offer`,
+  body: { success: false, code: 'OFFER_UNAVAILABLE', data: null }
+}
+
+/**
+ * Replaces the deposit limits on both the fixed & floating paths.
+ */
+function limits(min: number, max: number): FakeRoute[] {
+  return [
+    {
+      method: 'POST',
+      url: `${API}/v2/fixed/pairs`,
+      body: {
+        success: true,
+        data: [{ limitMinDepositCoin: min, limitMaxDepositCoin: max }]
+      }
+    },
+    {
+      method: 'POST',
+      url: `${API}/v2/rate`,
+      body: {
+        success: true,
+        data: {
+          rate: 16.5,
+          minerFee: 0.005,
+          limitMinDepositCoin: min,
+          limitMaxDepositCoin: max
+        }
+      }
+    }
+  ]
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeCoinSwitchPlugin(opts), fromWallet, request }
+}
+
+describe('coinswitch', function () {
+  it('quotes a fixed-rate swap', async function () {
+    const { fromWallet, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(false)
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'coinswitch-btc-deposit'
+    })
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('coinswitch-fixed-1')
+  })
+
+  it('falls back to an estimate', async function () {
+    const { plugin, request } = setup([noFixedRate])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(true)
+    expect(quote.toNativeAmount).equals('1645000000000000000')
+    const result = await quote.approve()
+    expect(result.orderId).equals('coinswitch-float-1')
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup(limits(0.5, 2))
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup(limits(0.005, 0.05))
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup([
+      noFixedRate,
+      {
+        method: 'POST',
+        url: `${API}/v2/rate`,
+        body: { success: false, code: 'INVALID_PAIR', data: null }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('coinswitch-fixed-1')
+    expect(status).deep.equals({
+      orderId: 'coinswitch-fixed-1',
+      status: 'pending'
+    })
+  })
+})
@@ -0,0 +1,131 @@
+// @flow
+/* global AbortController */
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeFaastPlugin } from '../../src/swap/faast.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/faast.json'
+
+const API = 'https://api.faa.st/api/v2/public'
+
+function limits(min: number, max: number): FakeRoute {
+  return {
+    url: `${API}/price/BTC_ETH?deposit_amount=0.1`,
+    body: { pair: 'BTC_ETH', minimum_deposit: min, maximum_deposit: max }
+  }
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    affiliateId: 'affiliate',
+    affiliateMargin: 0.5
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeFaastPlugin(opts), fromWallet, request }
+}
+
+describe('faast', function () {
+  it('quotes a fixed-rate swap', async function () {
+    const { fromWallet, opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(false)
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'faast-btc-deposit'
+    })
+    const swapCall = opts.calls.find(call => /\/swap$/.test(call.url))
+    expect(swapCall).to.have.nested.property('body.affiliate_id', 'affiliate')
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('faast-1')
+  })
+
+  it('passes the quote signal to every request', async function () {
+    const { opts, request } = setup()
+    const { fetch } = opts.io
+    const unsignaled: string[] = []
+    function recordingFetch(url: string, fetchOpts: Object = {}) {
+      if (fetchOpts.signal == null) unsignaled.push(url)
+      return fetch(url, fetchOpts)
+    }
+    opts.io = { ...opts.io, fetch: recordingFetch, fetchCors: recordingFetch }
+
+    const controller = new AbortController()
+    await makeFaastPlugin(opts).fetchSwapQuote(request, undefined, {
+      signal: controller.signal
+    })
+    expect(unsignaled).deep.equals([])
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([limits(0.5, 2)])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup([limits(0.005, 0.05)])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup([
+      {
+        url: `${API}/currencies/ETH`,
+        body: { symbol: 'ETH', deposit: true, receive: false }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('rejects geo-restricted users', async function () {
+    const { plugin, request } = setup([
+      {
+        url: `${API}/geoinfo/`,
+        status: 403,
+        body: { error: 'Access denied due to geo restriction' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapPermissionError')
+    expect(error).to.have.property('reason', 'geoRestriction')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('faast-1')
+    expect(status).deep.equals({
+      orderId: 'faast-1',
+      status: 'waiting',
+      expirationDate: new Date('2099-01-01T00:15:00.000Z')
+    })
+  })
+})
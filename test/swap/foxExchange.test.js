@@ -0,0 +1,219 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeFoxExchangePlugin } from '../../src/swap/foxExchange.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/foxExchange.json'
+
+const API = 'https://fox.exchange/api/cs'
+
+function rateReply(data: Object): FakeRoute {
+  return {
+    method: 'POST',
+    url: `${API}/rate`,
+    body: { success: true, data: { futureOrderId: 'fox-1', ...data } }
+  }
+}
+
+function rateError(code: string, data?: Object): FakeRoute {
+  return {
+    method: 'POST',
+    url: `${API}/rate`,
+    body: { success: false, code, error: code, data }
+  }
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeFoxExchangePlugin(opts), fromWallet, request }
+}
+
+describe('foxExchange', function () {
+  it('quotes a fixed-rate swap', async function () {
+    const { fromWallet, opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(false)
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(quote.networkFee.nativeAmount).equals('1000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      publicAddress: 'fox-dummy-address'
+    })
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('fox-1')
+    expect(fromWallet.spends[1].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'fox-btc-deposit'
+    })
+    expect(opts.calls.map(call => call.url)).not.includes(`${API}/cancelQuote`)
+
+    const [record] = await (plugin: any).swapHistory.list()
+    expect(record).deep.includes({
+      orderId: 'fox-1',
+      depositAddress: 'fox-btc-deposit'
+    })
+  })
+
+  it('checks the balance before sending', async function () {
+    const { plugin, request } = setup()
+    const fromWallet = makeBtcWallet({ balances: { BTC: '10000000' } })
+    const quote = await plugin.fetchSwapQuote(
+      { ...request, fromWallet },
+      undefined,
+      {}
+    )
+
+    const error = await catchError(quote.approve())
+    expect(error).to.have.property('name', 'InsufficientFundsError')
+    expect(fromWallet.broadcasts.length).equals(0)
+  })
+
+  it('cancels closed quotes', async function () {
+    const { opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    await quote.close()
+
+    const cancel = opts.calls.find(call => call.url === `${API}/cancelQuote`)
+    expect(cancel).to.have.nested.property('body.quoteToken', 'token-1')
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([
+      rateReply({ limitMinDepositCoin: 0.5, limitMaxDepositCoin: 2 })
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup([
+      rateReply({ limitMinDepositCoin: 0.005, limitMaxDepositCoin: 0.05 })
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('reports the limits from rejected rate requests', async function () {
+    const { plugin, request } = setup([
+      rateError('min_limit_breached', {
+        rate: 16.5,
+        futureOrderId: 'fox-1',
+        limitMinDepositCoin: 0.5,
+        limitMaxDepositCoin: 2
+      })
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('does not make up limits', async function () {
+    const { plugin, request } = setup([rateError('max_limit_breached')])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'Error')
+    expect(error.message).equals(
+      'fox.exchange refused the amount: max_limit_breached'
+    )
+  })
+
+  it('rejects orders that break the limits', async function () {
+    const { fromWallet, plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/order`,
+        body: {
+          success: false,
+          code: 'min_limit_breached',
+          error: 'min_limit_breached',
+          data: { limitMinDepositCoin: 0.5 }
+        }
+      }
+    ])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    const error = await catchError(quote.approve())
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+    expect(fromWallet.spends.length).equals(1)
+    expect(fromWallet.broadcasts.length).equals(0)
+  })
+
+  it('checks refused orders against the quoted limits', async function () {
+    const { plugin, request } = setup([
+      rateReply({
+        rate: 16.5,
+        destinationCoinAmount: 1.65,
+        limitMinDepositCoin: 0.005,
+        limitMaxDepositCoin: 2,
+        quoteToken: 'token-1'
+      }),
+      {
+        method: 'POST',
+        url: `${API}/order`,
+        body: {
+          success: false,
+          code: 'max_limit_breached',
+          error: 'max_limit_breached'
+        }
+      }
+    ])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    // The quoted limits allow the amount, so there's no real limit to show:
+    const error = await catchError(quote.approve())
+    expect(error.message).equals(
+      'fox.exchange refused the amount: max_limit_breached'
+    )
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup([rateError('invalid_symbol')])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('rejects geo-restricted users', async function () {
+    const { plugin, request } = setup([rateError('region_lock')])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapPermissionError')
+    expect(error).to.have.property('reason', 'geoRestriction')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('fox-1')
+    expect(status).deep.equals({ orderId: 'fox-1', status: 'settled' })
+  })
+})
@@ -0,0 +1,116 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeGodexPlugin } from '../../src/swap/godex.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/godex.json'
+
+const API = 'https://api.godex.io/api/v1'
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeGodexPlugin(opts), fromWallet, request }
+}
+
+describe('godex', function () {
+  it('quotes a swap', async function () {
+    const { fromWallet, opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {
+      promoCode: 'promo'
+    })
+
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'godex-btc-deposit'
+    })
+    const urls = opts.calls.map(call => call.url)
+    expect(urls).includes(`${API}/transaction?promo=promo`)
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('godex-1')
+
+    const [record] = await (plugin: any).swapHistory.list()
+    expect(record).deep.includes({
+      pluginId: 'godex',
+      orderId: 'godex-1',
+      status: 'waiting',
+      depositAddress: 'godex-btc-deposit',
+      payoutNativeAmount: '1650000000000000000',
+      txids: ['txid-0']
+    })
+
+    // Status checks, such as the poller's, update the history:
+    await (plugin: any).fetchOrderStatus('godex-1')
+    const [updated] = await (plugin: any).swapHistory.list()
+    expect(updated.status).equals('settling')
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/info`,
+        body: { amount: '1.65', min_amount: '0.5' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/info`,
+        body: { amount: '1.65', min_amount: '0.005', max_amount: '0.05' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/info`,
+        status: 422,
+        body: { error: 'The selected coin is invalid.' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('godex-1')
+    expect(status).deep.equals({ orderId: 'godex-1', status: 'settling' })
+  })
+})
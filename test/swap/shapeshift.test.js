@@ -0,0 +1,120 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeShapeshiftPlugin } from '../../src/swap/shapeshift.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/shapeshift.json'
+
+const API = 'https://shapeshift.io'
+const userSettings = { accessToken: 'token' }
+
+function limits(minimum: number, limit: number): FakeRoute {
+  return {
+    url: `${API}/marketinfo/BTC_ETH`,
+    body: { pair: 'BTC_ETH', rate: 16.5, minimum, limit }
+  }
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeShapeshiftPlugin(opts), fromWallet, request }
+}
+
+describe('shapeshift', function () {
+  it('quotes a swap', async function () {
+    const { fromWallet, opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, userSettings, {})
+
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'shapeshift-btc-deposit'
+    })
+    const sendCall = opts.calls.find(call => /sendamount$/.test(call.url))
+    expect(sendCall).to.have.nested.property(
+      'headers.Authorization',
+      'Bearer token'
+    )
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('shapeshift-1')
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([limits(0.5, 2)])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, userSettings, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup([limits(0.005, 0.05)])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, userSettings, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup()
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, toCurrencyCode: 'LTC' },
+        userSettings,
+        {}
+      )
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('needs activation', async function () {
+    const { plugin, request } = setup()
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapPermissionError')
+    expect(error).to.have.property('reason', 'needsActivation')
+  })
+
+  it('rejects geo-restricted users', async function () {
+    const { plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/sendamount`,
+        status: 403,
+        body: { error: { code: 'geoRestriction' } }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, userSettings, {})
+    )
+    expect(error).to.have.property('name', 'SwapPermissionError')
+    expect(error).to.have.property('reason', 'geoRestriction')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('shapeshift-1')
+    expect(status).deep.equals({ orderId: 'shapeshift-1', status: 'pending' })
+  })
+})
@@ -0,0 +1,708 @@
+// @flow
+
+import { expect } from 'chai'
+import { InsufficientFundsError } from 'edge-core-js'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeSideshiftPlugin } from '../../src/swap/sideshift.js'
+import {
+  type FakeCall,
+  type FakeRoute,
+  makeFakePluginOptions
+} from '../fake/fakeIo.js'
+import {
+  makeBtcWallet,
+  makeEthWallet,
+  makeFakeWallet
+} from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/sideshift.json'
+
+const API = 'https://sideshift.ai/api/v1'
+
+const [factsRoute, , , , fixedOrderRoute] = fixtures
+
+function setup(overrides: FakeRoute[] = [], initOptions: Object = {}) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    affiliateId: 'affiliate',
+    ...initOptions
+  })
+  const fromWallet = makeBtcWallet()
+  const toWallet = makeEthWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet,
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeSideshiftPlugin(opts), fromWallet, request }
+}
+
+function fixedOrder(body: Object): FakeRoute {
+  return { ...fixedOrderRoute, body: { ...fixedOrderRoute.body, ...body } }
+}
+
+function withMethods(methods: {
+  depositMethods?: Object,
+  settleMethods?: Object
+}): FakeRoute {
+  const { depositMethods = {}, settleMethods = {} } = methods
+  return {
+    url: factsRoute.url,
+    body: {
+      depositMethods: { ...depositMethods, ...factsRoute.body.depositMethods },
+      settleMethods: { ...settleMethods, ...factsRoute.body.settleMethods }
+    }
+  }
+}
+
+function countCalls(calls: FakeCall[], url: string): number {
+  return calls.filter(call => call.url === url).length
+}
+
+describe('sideshift', function () {
+  it('quotes a fixed-rate swap', async function () {
+    const { fromWallet, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(false)
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'sideshift-btc-deposit'
+    })
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('order-1')
+    expect(fromWallet.broadcasts.length).equals(1)
+  })
+
+  it('breaks down the fees SideShift reports', async function () {
+    const { plugin, request } = setup([
+      fixedOrder({
+        settleAmount: '1.6335',
+        commissionRate: '0.005',
+        settleNetworkFee: '0.002'
+      })
+    ])
+    const quote: any = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.feeBreakdown).deep.equals({
+      pairRate: '16.5',
+      quotedRate: '16.335',
+      rateDifference: '0.01',
+      commissionRate: '0.005',
+      settleNetworkFee: {
+        currencyCode: 'ETH',
+        nativeAmount: '2000000000000000'
+      }
+    })
+  })
+
+  it('leaves out fees SideShift does not report', async function () {
+    const { plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/quotes`,
+        status: 400,
+        body: { error: { message: 'Fixed rates are unavailable' } }
+      }
+    ])
+    const quote: any = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.feeBreakdown).deep.equals({ pairRate: '16.5' })
+  })
+
+  it('falls back to a variable-rate swap', async function () {
+    const { plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/quotes`,
+        status: 400,
+        body: { error: { message: 'Fixed rates are unavailable' } }
+      }
+    ])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(true)
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/quotes`,
+        status: 400,
+        body: { error: { message: 'Amount too low' } }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '100000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { opts, plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/quotes`,
+        status: 400,
+        body: { error: { message: 'Amount too high' } }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '200000000')
+
+    // A variable order wouldn't take the amount either:
+    expect(opts.calls.some(call => call.url === `${API}/orders`)).equals(false)
+  })
+
+  it('cancels variable orders outside their own limits', async function () {
+    const { opts, plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/quotes`,
+        status: 400,
+        body: { error: { message: 'Fixed rates are unavailable' } }
+      },
+      {
+        method: 'POST',
+        url: `${API}/orders`,
+        request: { type: 'variable' },
+        body: {
+          id: 'order-2',
+          orderId: 'order-2',
+          expiresAtISO: '2099-01-01T00:15:00.000Z',
+          depositAddress: { address: 'sideshift-btc-deposit-2' },
+          depositMin: '0.001',
+          depositMax: '0.05'
+        }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+
+    const cancel = opts.calls.find(call => call.url === `${API}/cancel-order`)
+    expect(cancel).to.have.property('body').deep.equals({ orderId: 'order-2' })
+  })
+
+  it('does not fall back for unsupported methods', async function () {
+    const { opts, plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/quotes`,
+        status: 400,
+        body: { error: { message: 'Deposit method btc is disabled' } }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+    expect(opts.calls.some(call => call.url === `${API}/orders`)).equals(false)
+  })
+
+  it('checks the pair limits before opening a variable order', async function () {
+    const { opts, plugin, request } = setup([
+      {
+        url: `${API}/pairs/btc/eth`,
+        body: { min: '0.2', max: '2', rate: '16.5' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, { orderType: 'variable' }, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(opts.calls.some(call => call.url === `${API}/orders`)).equals(false)
+  })
+
+  it('only falls back when SideShift refuses the fixed quote', async function () {
+    const { opts, plugin, request } = setup([
+      {
+        method: 'POST',
+        url: `${API}/quotes`,
+        status: 503,
+        body: { error: { message: 'Maintenance' } }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SideshiftApiError')
+    expect(error).to.have.property('sideshiftMessage', 'Maintenance')
+    expect(opts.calls.some(call => call.url === `${API}/orders`)).equals(false)
+  })
+
+  it('cancels the order when the wallet cannot spend', async function () {
+    const { opts, plugin, request } = setup()
+    const fromWallet: any = request.fromWallet
+    fromWallet.makeSpend = async () => {
+      throw new InsufficientFundsError('BTC')
+    }
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'InsufficientFundsError')
+
+    const orders = opts.calls.filter(call => call.url === `${API}/orders`)
+    expect(orders.length).equals(1)
+    const cancel = opts.calls.find(call => call.url === `${API}/cancel-order`)
+    expect(cancel).to.have.property('body').deep.equals({ orderId: 'order-1' })
+  })
+
+  it('cancels the replacement order if approving fails', async function () {
+    const expiredOrder = {
+      method: 'POST',
+      url: `${API}/orders`,
+      request: { type: 'fixed' },
+      body: {
+        id: 'order-1',
+        orderId: 'order-1',
+        expiresAtISO: '2020-01-01T00:15:00.000Z',
+        depositAddress: { address: 'sideshift-btc-deposit' },
+        depositAmount: '0.1',
+        settleAmount: '1.65'
+      }
+    }
+    const { opts, plugin, request } = setup([expiredOrder])
+    const fromWallet = makeBtcWallet({ balances: { BTC: '10000000' } })
+    const quote = await plugin.fetchSwapQuote(
+      { ...request, fromWallet },
+      undefined,
+      {}
+    )
+
+    // The re-quote gets a fresh order, which the wallet can't cover:
+    expiredOrder.body = {
+      ...expiredOrder.body,
+      id: 'order-3',
+      orderId: 'order-3',
+      expiresAtISO: '2099-01-01T00:15:00.000Z'
+    }
+    const error = await catchError(quote.approve())
+    expect(error).to.have.property('name', 'InsufficientFundsError')
+    expect(fromWallet.broadcasts.length).equals(0)
+
+    const cancels = opts.calls.filter(
+      call => call.url === `${API}/cancel-order`
+    )
+    expect(cancels.map(call => call.body)).deep.equals([{ orderId: 'order-3' }])
+  })
+
+  it('rejects unsupported currencies', async function () {
+    const { plugin, request } = setup()
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, toCurrencyCode: 'USDT' },
+        undefined,
+        {}
+      )
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('rejects users without permission', async function () {
+    const { plugin, request } = setup([
+      {
+        url: `${API}/permissions`,
+        body: { createOrder: false, createQuote: false, reason: 'VPN detected' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapPermissionError')
+    expect(error).to.have.property('denial', 'vpnDetected')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('order-1')
+    expect(status).deep.includes({ orderId: 'order-1', status: 'settled' })
+  })
+
+  it('quotes the amount to receive', async function () {
+    const { opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(
+      { ...request, nativeAmount: '1650000000000000000', quoteFor: 'to' },
+      undefined,
+      {}
+    )
+
+    const quoteCall = opts.calls.find(call => call.url === `${API}/quotes`)
+    expect(quoteCall).to.have.property('body').deep.equals({
+      depositMethod: 'btc',
+      settleMethod: 'eth',
+      settleAmount: '1.65'
+    })
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+  })
+
+  it('rejects orders that settle less than requested', async function () {
+    const { opts, plugin, request } = setup([
+      fixedOrder({ settleAmount: '1.6' })
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, nativeAmount: '1650000000000000000', quoteFor: 'to' },
+        undefined,
+        {}
+      )
+    )
+    expect(error.message).includes('less than requested')
+    expect(countCalls(opts.calls, `${API}/cancel-order`)).equals(1)
+  })
+
+  it('sends memos along with the addresses', async function () {
+    const { opts, plugin, request } = setup([
+      withMethods({
+        settleMethods: {
+          xrp: { asset: 'xrp', network: 'ripple', enabled: true }
+        }
+      }),
+      {
+        url: `${API}/pairs/btc/xrp`,
+        body: { min: '0.001', max: '2', rate: '30000' }
+      }
+    ])
+    const toWallet = makeFakeWallet({ pluginId: 'ripple', currencyCode: 'XRP' })
+    const memoRequest: any = {
+      ...request,
+      toWallet,
+      toCurrencyCode: 'XRP',
+      settleMemo: '12345'
+    }
+    await plugin.fetchSwapQuote(memoRequest, undefined, {})
+
+    const orderCall = opts.calls.find(call => call.url === `${API}/orders`)
+    expect(orderCall).to.have.nested.property(
+      'body.settleAddress',
+      'ripple-address'
+    )
+    expect(orderCall).to.have.nested.property('body.settleMemo', '12345')
+  })
+
+  it('rejects invalid memos before ordering', async function () {
+    const { opts, plugin, request } = setup()
+    const badMemo: any = { ...request, refundMemo: 'memo' }
+    const error = await catchError(
+      plugin.fetchSwapQuote(badMemo, undefined, {})
+    )
+    expect(error.message).equals('SideShift.ai: BTC does not support memos')
+    expect(countCalls(opts.calls, `${API}/orders`)).equals(0)
+  })
+
+  it('picks the method on the wallet network', async function () {
+    const { opts, plugin, request } = setup([
+      withMethods({
+        depositMethods: {
+          usdtTrc20: { asset: 'usdt', network: 'tron', enabled: true }
+        }
+      }),
+      {
+        url: `${API}/pairs/usdtErc20/btc`,
+        body: { min: '1', max: '10000', rate: '0.00005' }
+      }
+    ])
+    await plugin.fetchSwapQuote(
+      {
+        ...request,
+        fromWallet: makeEthWallet(),
+        fromCurrencyCode: 'USDT',
+        toWallet: makeBtcWallet(),
+        toCurrencyCode: 'BTC',
+        nativeAmount: '100000000'
+      },
+      undefined,
+      {}
+    )
+
+    const quoteCall = opts.calls.find(call => call.url === `${API}/quotes`)
+    expect(quoteCall).to.have.property('body').deep.equals({
+      depositMethod: 'usdtErc20',
+      settleMethod: 'btc',
+      depositAmount: '100'
+    })
+  })
+
+  it('caches the facts in memory and on disk', async function () {
+    const { opts, plugin, request } = setup()
+    await plugin.fetchSwapQuote(request, undefined, {})
+    await plugin.fetchSwapQuote(request, undefined, {})
+    expect(countCalls(opts.calls, `${API}/facts`)).equals(1)
+    expect(JSON.parse(opts.files['facts.json'])).deep.includes({
+      facts: factsRoute.body
+    })
+
+    // A fresh plugin reads the facts from disk:
+    await makeSideshiftPlugin(opts).fetchSwapQuote(request, undefined, {})
+    expect(countCalls(opts.calls, `${API}/facts`)).equals(1)
+  })
+
+  it('refreshes stale facts', async function () {
+    const { opts, plugin, request } = setup()
+    opts.files['facts.json'] = JSON.stringify({
+      facts: { depositMethods: {}, settleMethods: {} },
+      timestamp: Date.now() - 1000 * 60 * 61
+    })
+    await plugin.fetchSwapQuote(request, undefined, {})
+    expect(countCalls(opts.calls, `${API}/facts`)).equals(1)
+  })
+
+  it('falls back on stale facts if SideShift is down', async function () {
+    const { opts, plugin, request } = setup([
+      { url: `${API}/facts`, status: 404 }
+    ])
+    opts.files['facts.json'] = JSON.stringify({
+      facts: factsRoute.body,
+      timestamp: 0
+    })
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    expect(quote.toNativeAmount).equals('1650000000000000000')
+  })
+
+  it('re-quotes expired orders within the tolerance', async function () {
+    const expiredOrder = fixedOrder({
+      expiresAtISO: '2020-01-01T00:15:00.000Z'
+    })
+    const { opts, plugin, fromWallet, request } = setup([expiredOrder])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expiredOrder.body = {
+      ...fixedOrderRoute.body,
+      id: 'order-3',
+      orderId: 'order-3',
+      settleAmount: '1.64'
+    }
+    const result = await quote.approve()
+    expect(result.orderId).equals('order-3')
+    expect(fromWallet.broadcasts.length).equals(1)
+    expect(countCalls(opts.calls, `${API}/cancel-order`)).equals(0)
+  })
+
+  it('rejects re-quotes beyond the tolerance', async function () {
+    const expiredOrder = fixedOrder({
+      expiresAtISO: '2020-01-01T00:15:00.000Z'
+    })
+    const { opts, plugin, fromWallet, request } = setup([expiredOrder])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expiredOrder.body = {
+      ...fixedOrderRoute.body,
+      id: 'order-3',
+      orderId: 'order-3',
+      settleAmount: '1.6'
+    }
+    const error = await catchError(quote.approve())
+    expect(error).to.have.property('name', 'SwapQuoteExpiredError')
+    expect(error).to.have.property('toNativeAmount', '1600000000000000000')
+    expect(fromWallet.broadcasts.length).equals(0)
+
+    const cancel = opts.calls.find(call => call.url === `${API}/cancel-order`)
+    expect(cancel).to.have.property('body').deep.equals({ orderId: 'order-3' })
+  })
+
+  it('respects a custom re-quote tolerance', async function () {
+    const expiredOrder = fixedOrder({
+      expiresAtISO: '2020-01-01T00:15:00.000Z'
+    })
+    const { opts, plugin, request } = setup([expiredOrder], {
+      requoteTolerance: '0.05'
+    })
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expiredOrder.body = { ...fixedOrderRoute.body, settleAmount: '1.6' }
+    const result = await quote.approve()
+    expect(result.orderId).equals('order-1')
+    expect(countCalls(opts.calls, `${API}/orders`)).equals(2)
+  })
+
+  it('caches permissions', async function () {
+    const { opts, plugin, request } = setup()
+    await plugin.fetchSwapQuote(request, undefined, {})
+    await plugin.fetchSwapQuote(request, undefined, {})
+    expect(countCalls(opts.calls, `${API}/permissions`)).equals(1)
+  })
+
+  it('sends the account secret with every request', async function () {
+    const { opts, plugin, request } = setup([], { secret: 'secret-1' })
+    await plugin.fetchSwapQuote(request, undefined, {})
+
+    for (const call of opts.calls) {
+      expect(call.headers).to.have.property('x-sideshift-secret', 'secret-1')
+    }
+  })
+
+  it('lists the account orders', async function () {
+    const { opts, plugin } = setup(
+      [
+        {
+          url: `${API}/orders`,
+          body: [
+            {
+              id: 'order-1',
+              createdAtISO: '2021-05-20T00:00:00.000Z',
+              expiresAtISO: '2099-01-01T00:15:00.000Z',
+              depositMethodId: 'btc',
+              settleMethodId: 'eth',
+              settleAddress: { address: 'ethereum-address' },
+              deposits: [{ depositId: 'deposit-1', status: 'settling' }]
+            }
+          ]
+        }
+      ],
+      { secret: 'secret-1' }
+    )
+    const orders = await (plugin: any).fetchOrders({ limit: 5 })
+
+    expect(opts.calls[0].url).equals(`${API}/orders?limit=5&offset=0`)
+    expect(orders).deep.equals([
+      {
+        orderId: 'order-1',
+        status: 'settling',
+        createdDate: new Date('2021-05-20T00:00:00.000Z'),
+        expirationDate: new Date('2099-01-01T00:15:00.000Z'),
+        depositMethodId: 'btc',
+        settleMethodId: 'eth',
+        settleAddress: 'ethereum-address'
+      }
+    ])
+  })
+
+  it('needs a secret to list orders', async function () {
+    const { opts, plugin } = setup()
+    const error = await catchError((plugin: any).fetchOrders())
+    expect(error.message).equals('No SideShift.ai account secret provided.')
+    expect(opts.calls.length).equals(0)
+  })
+
+  it('retries failed lookups', async function () {
+    const { opts, plugin, request } = setup([
+      {
+        url: `${API}/pairs/btc/eth`,
+        status: 503,
+        headers: { 'Retry-After': '0' },
+        body: { error: { message: 'Overloaded' } }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SideshiftApiError')
+    expect(error).to.have.property('endpoint', 'GET /pairs/btc/eth')
+    expect(error).to.have.property('status', 503)
+    expect(error).to.have.property('sideshiftMessage', 'Overloaded')
+    expect(countCalls(opts.calls, `${API}/pairs/btc/eth`)).equals(4)
+  })
+
+  it('settles into a Lightning invoice', async function () {
+    const { opts, plugin, request } = setup([
+      withMethods({
+        settleMethods: {
+          ln: { asset: 'btc', network: 'lightning', enabled: true }
+        }
+      }),
+      {
+        url: `${API}/pairs/eth/ln`,
+        body: { min: '0.01', max: '100', rate: '0.06' }
+      },
+      fixedOrder({
+        depositAddress: { address: 'sideshift-eth-deposit' },
+        depositAmount: '1',
+        settleAmount: '0.06'
+      })
+    ])
+    const toWallet = makeBtcWallet({
+      otherMethods: {
+        makeLightningInvoice: async nativeAmount => `lnbc-${nativeAmount}`
+      }
+    })
+    await plugin.fetchSwapQuote(
+      {
+        ...request,
+        fromWallet: makeEthWallet(),
+        fromCurrencyCode: 'ETH',
+        toWallet,
+        toCurrencyCode: 'BTC',
+        nativeAmount: '1000000000000000000'
+      },
+      // Lightning invoices need fixed amounts:
+      { orderType: 'variable' },
+      {}
+    )
+
+    const orderCall = opts.calls.find(call => call.url === `${API}/orders`)
+    expect(orderCall).to.have.nested.property('body.type', 'fixed')
+    expect(orderCall).to.have.nested.property(
+      'body.settleAddress',
+      'lnbc-165000000'
+    )
+  })
+
+  it('deposits by paying a Lightning invoice', async function () {
+    const { plugin, request } = setup([
+      withMethods({
+        depositMethods: {
+          ln: { asset: 'btc', network: 'lightning', enabled: true }
+        }
+      }),
+      {
+        url: `${API}/pairs/ln/eth`,
+        body: { min: '0.001', max: '2', rate: '16.5' }
+      },
+      fixedOrder({ depositAddress: { address: 'lnbc-invoice' } })
+    ])
+    const fromWallet = makeBtcWallet({
+      otherMethods: { makeLightningInvoice: async () => 'unused' }
+    })
+    await plugin.fetchSwapQuote({ ...request, fromWallet }, undefined, {})
+
+    expect(fromWallet.spends[0].networkFeeOption).equals('standard')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'lnbc-invoice',
+      otherParams: { lightningInvoice: 'lnbc-invoice' }
+    })
+  })
+
+  it('cancels orders the user backs out of', async function () {
+    const { opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    await quote.close()
+
+    const cancel = opts.calls.find(call => call.url === `${API}/cancel-order`)
+    expect(cancel).to.have.property('body').deep.equals({ orderId: 'order-1' })
+    expect(JSON.parse(opts.files['abandoned.json'])).to.have.nested.property(
+      'order-1.depositAddress',
+      'sideshift-btc-deposit'
+    )
+
+    const status = await (plugin: any).fetchOrderStatus('order-1')
+    expect(status).to.have.property('abandoned', true)
+  })
+
+  it('never cancels approved orders', async function () {
+    const { opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+    await quote.approve()
+    await quote.close()
+
+    expect(countCalls(opts.calls, `${API}/cancel-order`)).equals(0)
+    const status = await (plugin: any).fetchOrderStatus('order-1')
+    expect(status).to.have.property('abandoned', false)
+  })
+})
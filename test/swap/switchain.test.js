@@ -0,0 +1,147 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeSwitchainPlugin } from '../../src/swap/switchain.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet, makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/switchain.json'
+
+const API = 'https://api.switchain.com/rest/v1'
+
+function limits(minLimit: string, maxLimit: string): FakeRoute {
+  return {
+    url: `${API}/offer`,
+    body: {
+      pair: 'BTC-ETH',
+      signature: 'signature-1',
+      quote: '16.5',
+      minerFee: '0.005',
+      expiryTs: 4070909700,
+      minLimit,
+      maxLimit
+    }
+  }
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key'
+  })
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeEthWallet(),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'ETH',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeSwitchainPlugin(opts), fromWallet, request }
+}
+
+describe('switchain', function () {
+  it('quotes a fixed-rate swap', async function () {
+    const { fromWallet, opts, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.isEstimate).equals(false)
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('1645000000000000000')
+    expect(opts.calls[0].url).equals(
+      `${API}/offer?pair=BTC-ETH&orderIdSeed=ethereum-address`
+    )
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('switchain-1')
+    expect(result.destinationAddress).equals('switchain-btc-deposit')
+    expect(fromWallet.spends[1].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'switchain-btc-deposit'
+    })
+
+    const [record] = await (plugin: any).swapHistory.list()
+    expect(record).deep.includes({
+      orderId: 'switchain-1',
+      depositAddress: 'switchain-btc-deposit'
+    })
+  })
+
+  it('rejects expired quotes without ordering', async function () {
+    const { opts, plugin, request } = setup([
+      { ...fixtures[0], body: { ...fixtures[0].body, expiryTs: 1600000000 } }
+    ])
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    const error = await catchError(quote.approve())
+    expect(error).to.have.property('name', 'SwapExpiredError')
+    expect(opts.calls.some(call => call.method === 'POST')).equals(false)
+  })
+
+  it('rejects amounts below the limit', async function () {
+    const { plugin, request } = setup([limits('0.5', '2')])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('rejects amounts above the limit', async function () {
+    const { plugin, request } = setup([limits('0.005', '0.05')])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapAboveLimitError')
+    expect(error).to.have.property('nativeMax', '5000000')
+  })
+
+  it('checks the limits of "to" quotes', async function () {
+    const { plugin, request } = setup([limits('0.5', '2')])
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, nativeAmount: '1650000000000000000', quoteFor: 'to' },
+        undefined,
+        {}
+      )
+    )
+    expect(error).to.have.property('name', 'SwapBelowLimitError')
+    expect(error).to.have.property('nativeMin', '50000000')
+  })
+
+  it('explains refused pairs', async function () {
+    const { opts, plugin, request } = setup([
+      {
+        url: `${API}/offer`,
+        status: 400,
+        body: { error: 'Bad Request', reason: 'Pair BTC-ETH is not supported' }
+      }
+    ])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error.message).includes('Pair BTC-ETH is not supported')
+    expect(opts.calls.some(call => call.method === 'POST')).equals(false)
+  })
+
+  it('rejects swaps between the same currency', async function () {
+    const { plugin, request } = setup()
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, toCurrencyCode: 'BTC' },
+        undefined,
+        {}
+      )
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('reports order status', async function () {
+    const { plugin } = setup()
+    const status = await (plugin: any).fetchOrderStatus('switchain-1')
+    expect(status).deep.equals({ orderId: 'switchain-1', status: 'pending' })
+  })
+})
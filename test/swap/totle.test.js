@@ -0,0 +1,108 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeTotlePlugin } from '../../src/swap/totle.js'
+import { type FakeRoute, makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeEthWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+import fixtures from '../fixtures/swap/totle.json'
+
+function swapError(code: number): FakeRoute {
+  return {
+    method: 'POST',
+    url: 'https://api.totle.com/swap',
+    body: { success: false, response: { code, message: 'Error' } }
+  }
+}
+
+function setup(overrides: FakeRoute[] = []) {
+  const opts = makeFakePluginOptions([...overrides, ...fixtures], {
+    apiKey: 'key',
+    partnerContract: '0x0'
+  })
+  const wallet = makeEthWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet: wallet,
+    toWallet: wallet,
+    fromCurrencyCode: 'ETH',
+    toCurrencyCode: 'DAI',
+    nativeAmount: '1000000000000000000',
+    quoteFor: 'from'
+  }
+  return { opts, plugin: makeTotlePlugin(opts), wallet, request }
+}
+
+describe('totle', function () {
+  it('quotes a swap', async function () {
+    const { plugin, request, wallet } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.fromNativeAmount).equals('1000000000000000000')
+    expect(quote.toNativeAmount).equals('2000000000000000000000')
+    expect(wallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '1000000000000000000',
+      publicAddress: '0x74de5d4fcbf63e00296fd95d33236b9794016631',
+      otherParams: { data: '0xabcdef' }
+    })
+    expect(wallet.spends[0].customNetworkFee).deep.equals({
+      gasLimit: '300000',
+      gasPrice: '20'
+    })
+
+    const result = await quote.approve()
+    expect(result.orderId).equals('txid-0')
+    expect(wallet.broadcasts.length).equals(1)
+  })
+
+  it('rejects unknown tokens', async function () {
+    const { plugin, request } = setup()
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, toCurrencyCode: 'USDT' },
+        undefined,
+        {}
+      )
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('rejects swaps between the same token', async function () {
+    const { opts, plugin, request } = setup()
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, toCurrencyCode: 'ETH' },
+        undefined,
+        {}
+      )
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+    expect(opts.calls.some(call => call.method === 'POST')).equals(false)
+  })
+
+  it('rejects unsupported tokens', async function () {
+    const { plugin, request } = setup([swapError(1203)])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+
+  it('rejects insufficient funds', async function () {
+    const { plugin, request } = setup([swapError(3100)])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'InsufficientFundsError')
+  })
+
+  it('rejects missing amounts', async function () {
+    const { plugin, request } = setup([swapError(1201)])
+    const error = await catchError(
+      plugin.fetchSwapQuote(request, undefined, {})
+    )
+    expect(error).to.have.property('name', 'NoAmountSpecifiedError')
+  })
+})
@@ -0,0 +1,53 @@
+// @flow
+
+import { expect } from 'chai'
+import { type EdgeSwapRequest } from 'edge-core-js/types'
+import { describe, it } from 'mocha'
+
+import { makeTransferPlugin } from '../../src/swap/transfer.js'
+import { makeFakePluginOptions } from '../fake/fakeIo.js'
+import { makeBtcWallet } from '../fake/fakeWallet.js'
+import { catchError } from '../fake/helpers.js'
+
+function setup() {
+  const fromWallet = makeBtcWallet()
+  const request: EdgeSwapRequest = {
+    fromWallet,
+    toWallet: makeBtcWallet({ address: { publicAddress: 'other-address' } }),
+    fromCurrencyCode: 'BTC',
+    toCurrencyCode: 'BTC',
+    nativeAmount: '10000000',
+    quoteFor: 'from'
+  }
+  const plugin = makeTransferPlugin(makeFakePluginOptions([]))
+  return { fromWallet, plugin, request }
+}
+
+describe('transfer', function () {
+  it('moves funds between wallets', async function () {
+    const { fromWallet, plugin, request } = setup()
+    const quote = await plugin.fetchSwapQuote(request, undefined, {})
+
+    expect(quote.fromNativeAmount).equals('10000000')
+    expect(quote.toNativeAmount).equals('10000000')
+    expect(fromWallet.spends[0].spendTargets[0]).deep.includes({
+      nativeAmount: '10000000',
+      publicAddress: 'other-address'
+    })
+
+    await quote.approve()
+    expect(fromWallet.broadcasts.length).equals(1)
+  })
+
+  it('rejects different currencies', async function () {
+    const { plugin, request } = setup()
+    const error = await catchError(
+      plugin.fetchSwapQuote(
+        { ...request, toCurrencyCode: 'ETH' },
+        undefined,
+        {}
+      )
+    )
+    expect(error).to.have.property('name', 'SwapCurrencyError')
+  })
+})